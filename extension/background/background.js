@@ -5,40 +5,337 @@
 
 const NATIVE_APP_ID = "com.rapunzel.helper";
 
+// Request timeouts (ms); batch actions get longer
+const DEFAULT_REQUEST_TIMEOUT = 15000;
+const REQUEST_TIMEOUTS = {
+  load: 600000,
+  pack: 600000,
+  load_all: 600000,
+  restore: 600000,
+  unload_all: 120000,
+  load_workspace: 600000,
+  unload_workspace: 120000
+};
+
+// Heartbeat: ping the native app this often, and give up on a ping after
+// HEARTBEAT_TIMEOUT. One missed pong makes the connection "degraded"; after
+// HEARTBEAT_MAX_MISSES in a row it is dropped and reconnected.
+const HEARTBEAT_INTERVAL = 20000;
+const HEARTBEAT_TIMEOUT = 5000;
+const HEARTBEAT_MAX_MISSES = 3;
+
+// Reconnect delays double from the base delay up to the max
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+
+// Read-only requests that are sent again if the connection drops before
+// they are answered; anything else could run twice
+const REPLAYABLE_ACTIONS = ["status", "scan", "list_workspaces", "list_loaders", "get_logs", "get_audit"];
+
+// Settings the native app owns, and the storage keys the browser keeps a
+// copy of them under
+const SHARED_SETTINGS_KEYS = {
+  extensionFolder: "extensionFolder",
+  autoLoadOnStartup: "autoLoadOnStartup",
+  watchEnabled: "watchFolder"
+};
+
 // State
+//
+// This is an event page: it is unloaded when idle and these variables are
+// lost. Everything that must outlive that is mirrored in storage and read
+// back by rehydrateState() when the page starts again.
 let nativePort = null;
-let isConnected = false;
+let availableExtensions = [];
 let loadedExtensions = [];
 
+// Requests awaiting a reply, by request ID
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// Requests made while disconnected, sent once the connection is confirmed
+let requestQueue = [];
+
+// Latest build state per extension path
+let builds = {};
+
+// Extensions whose loader process exited on its own, by path
+let crashes = {};
+
+// The last load_all/unload_all: { batchId, action, items, startedAt,
+// finished, summary }, where items are { path, name, status, error }
+let batch = null;
+
+// Open log viewer pages; log lines are streamed while there is at least one
+const logViewerPorts = new Set();
+
+// Large native replies arrive split into continuation messages, by message ID
+const partialMessages = new Map();
+
+// Connection to the native app:
+//   connecting   - port opened, waiting for the status reply
+//   connected    - status reply received, heartbeat answered
+//   degraded     - connected, but the last heartbeat went unanswered
+//   disconnected - no port; a reconnect may be scheduled
+let connection = {
+  state: "disconnected",
+  error: null,
+  since: Date.now(),
+  reconnectAt: null,
+  reconnectAttempt: 0,
+  lastPongAt: null
+};
+let heartbeatTimer = null;
+let reconnectTimer = null;
+let missedHeartbeats = 0;
+
+// Resolves once the state saved by a previous instance of this page is back
+const stateReady = rehydrateState();
+
+/**
+ * Restore the state saved before the page was last unloaded
+ * The native port itself cannot be kept; it is opened again on demand.
+ */
+async function rehydrateState() {
+  try {
+    const data = await browser.storage.local.get([
+      "availableExtensions",
+      "loadedExtensions",
+      "builds",
+      "crashes",
+      "batch",
+      "connection"
+    ]);
+
+    availableExtensions = data.availableExtensions || [];
+    loadedExtensions = data.loadedExtensions || [];
+    builds = data.builds || {};
+    crashes = data.crashes || {};
+    batch = data.batch || null;
+
+    // Keep the backoff going across restarts of the page, but not the
+    // state: whatever port the old page had is gone
+    if (data.connection) {
+      connection.reconnectAttempt = data.connection.reconnectAttempt || 0;
+      connection.lastPongAt = data.connection.lastPongAt || null;
+    }
+  } catch (error) {
+    console.error("[Rapunzel] Could not restore background state:", error);
+  }
+}
+
 /**
  * Connect to native messaging host
+ * Returns the status reply that confirms the connection
  */
 function connectToNativeApp() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
   try {
     nativePort = browser.runtime.connectNative(NATIVE_APP_ID);
 
     nativePort.onMessage.addListener(handleNativeMessage);
     nativePort.onDisconnect.addListener(handleDisconnect);
 
-    // Request status on connect
-    nativePort.postMessage({ action: "status" });
+    setConnectionState("connecting");
+    console.log("[Rapunzel] Connecting to native app");
 
-    isConnected = true;
-    console.log("[Rapunzel] Connected to native app");
+    // Request status on connect; its reply confirms the connection and
+    // flushes the queue
+    const request = createRequest({ action: "status" });
+    postRequest(request);
+    return request.promise;
 
   } catch (error) {
     console.error("[Rapunzel] Failed to connect to native app:", error);
-    isConnected = false;
+    nativePort = null;
+    rejectRequests(requestQueue, error);
+    requestQueue = [];
+    setConnectionState("disconnected", error.message);
+    scheduleReconnect();
     showNotification("Connection Failed", "Could not connect to Rapunzel helper app. Please ensure it's installed.");
+    return Promise.reject(error);
+  }
+}
+
+/**
+ * Whether requests can be sent right away
+ */
+function isReady() {
+  return nativePort !== null &&
+    (connection.state === "connected" || connection.state === "degraded");
+}
+
+/**
+ * Move the connection to a new state and tell the popup and options page
+ */
+function setConnectionState(state, error = null) {
+  if (connection.state === state && connection.error === error) return;
+
+  connection = {
+    ...connection,
+    state,
+    error,
+    since: Date.now(),
+    reconnectAt: state === "disconnected" ? connection.reconnectAt : null
+  };
+  console.log("[Rapunzel] Connection:", state, error || "");
+
+  browser.storage.local.set({
+    nativeAppStatus: state,
+    connectionError: error,
+    connection
+  });
+  broadcastConnectionState();
+}
+
+/**
+ * Send the current connection state to open extension pages
+ */
+function broadcastConnectionState() {
+  browser.runtime.sendMessage({
+    type: "connection_state",
+    ...connection
+  }).catch(() => {
+    // No page is listening
+  });
+}
+
+/**
+ * Try connecting again after a delay that doubles with every attempt
+ */
+function scheduleReconnect() {
+  clearTimeout(reconnectTimer);
+
+  const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, connection.reconnectAttempt), RECONNECT_MAX_DELAY);
+  connection.reconnectAttempt++;
+  connection.reconnectAt = Date.now() + delay;
+  browser.storage.local.set({ connection });
+  broadcastConnectionState();
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (nativePort) return;
+
+    connectToNativeApp().catch(error => {
+      console.warn("[Rapunzel] Reconnect failed:", error.message);
+    });
+  }, delay);
+}
+
+/**
+ * Ping the native app regularly while connected
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+  missedHeartbeats = 0;
+  heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Stop pinging the native app
+ */
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+/**
+ * Send one ping; a missing pong degrades the connection, several in a row
+ * drop it so it can be reconnected
+ */
+async function sendHeartbeat() {
+  if (!isReady()) return;
+
+  const port = nativePort;
+  try {
+    await requestNative({ action: "ping" }, HEARTBEAT_TIMEOUT);
+    if (port !== nativePort) return;
+
+    missedHeartbeats = 0;
+    connection.lastPongAt = Date.now();
+    setConnectionState("connected");
+  } catch (error) {
+    if (port !== nativePort) return;
+
+    missedHeartbeats++;
+    if (missedHeartbeats >= HEARTBEAT_MAX_MISSES) {
+      dropConnection(`Native app stopped answering (${missedHeartbeats} heartbeats missed)`);
+    } else {
+      setConnectionState("degraded", "Native app is not answering");
+    }
   }
 }
 
+/**
+ * Close an unresponsive connection and schedule a reconnect
+ * A port we disconnect ourselves gets no onDisconnect event.
+ */
+function dropConnection(reason) {
+  if (!nativePort) return;
+
+  console.warn("[Rapunzel] Dropping native connection:", reason);
+  try {
+    nativePort.disconnect();
+  } catch (error) {
+    // Already gone
+  }
+  connectionLost(reason);
+}
+
 /**
  * Handle messages from native app
  */
 function handleNativeMessage(message) {
+  if (message.type === "continuation") {
+    message = collectContinuation(message);
+    if (!message) return;
+  }
+
   console.log("[Rapunzel] Received from native:", message);
 
+  // Let the type handlers update state before the caller hears back
+  try {
+    dispatchNativeMessage(message);
+  } finally {
+    settleRequest(message);
+  }
+}
+
+/**
+ * Collect one part of a split message
+ * Returns the reassembled message once every part has arrived
+ */
+function collectContinuation(part) {
+  let entry = partialMessages.get(part.messageId);
+  if (!entry) {
+    entry = { parts: new Array(part.total), received: 0 };
+    partialMessages.set(part.messageId, entry);
+  }
+
+  if (entry.parts[part.index] === undefined) {
+    entry.parts[part.index] = part.data;
+    entry.received++;
+  }
+
+  if (entry.received < part.total) {
+    return null;
+  }
+
+  partialMessages.delete(part.messageId);
+  try {
+    return JSON.parse(entry.parts.join(""));
+  } catch (error) {
+    console.error("[Rapunzel] Could not reassemble native message:", error);
+    return null;
+  }
+}
+
+/**
+ * Route a native message to its handler by type
+ */
+function dispatchNativeMessage(message) {
   switch (message.type) {
     case "status":
       handleStatusResponse(message);
@@ -56,116 +353,733 @@ function handleNativeMessage(message) {
       handleUnloadResult(message);
       break;
 
+    case "extension_added":
+    case "extension_removed":
+    case "manifest_changed":
+      handleFolderChange(message);
+      break;
+
+    case "reload_result":
+      handleReloadResult(message);
+      break;
+
+    case "load_all_result":
+    case "unload_all_result":
+      handleBatchResult(message);
+      break;
+
+    case "batch_started":
+    case "batch_progress":
+      handleBatchProgress(message);
+      break;
+
+    case "batch_cancel":
+      // Reply to cancelBatch, handled by its caller
+      break;
+
+    case "load_concurrency_set":
+      browser.storage.local.set({ loadConcurrency: message.concurrency });
+      break;
+
+    case "pack_result":
+      handlePackResult(message);
+      break;
+
+    case "pack_output_dir_set":
+      browser.storage.local.set({ packOutputDir: message.outputDir });
+      break;
+
+    case "restore_result":
+      handleRestoreResult(message);
+      break;
+
+    case "extension_exited":
+      handleExtensionExited(message);
+      break;
+
+    case "extension_restarted":
+      handleExtensionRestarted(message);
+      break;
+
+    case "log_lines":
+      for (const port of logViewerPorts) {
+        port.postMessage(message);
+      }
+      break;
+
+    case "pong":
+      // Heartbeat reply, handled by sendHeartbeat
+      break;
+
+    case "logs":
+    case "log_subscription":
+    case "logs_cleared":
+      // Replies to log viewer requests, handled by their callers
+      break;
+
+    case "loaders_list":
+    case "stale_loaders_killed":
+    case "audit":
+      // Replies to the options page, handled by their callers
+      break;
+
+    case "build_started":
+    case "build_output":
+    case "build_result":
+      handleBuildMessage(message);
+      break;
+
+    case "workspaces_list":
+      browser.storage.local.set({
+        workspaces: message.workspaces,
+        activeWorkspace: message.active
+      });
+      break;
+
+    case "workspace_loaded":
+    case "workspace_unloaded":
+      handleWorkspaceResult(message);
+      break;
+
+    case "auto_reload_set":
+      handleAutoReloadSet(message);
+      break;
+
+    case "roots_set":
+      browser.storage.local.set({
+        extensionRoots: message.roots,
+        scanDepth: message.scanDepth
+      });
+      break;
+
+    case "watch_status":
+      console.log("[Rapunzel] Folder watch:", message.watching ? "on" : "off", message.folder);
+      break;
+
+    case "config_changed":
+      handleConfigChanged(message);
+      break;
+
+    case "settings":
+      // Reply to set_settings; the config_changed push updates storage
+      break;
+
     case "error":
       handleError(message);
       break;
 
-    default:
-      console.warn("[Rapunzel] Unknown message type:", message.type);
+    default:
+      console.warn("[Rapunzel] Unknown message type:", message.type);
+  }
+}
+
+/**
+ * Handle disconnect from native app
+ */
+function handleDisconnect(port) {
+  // A port we dropped ourselves has already been dealt with
+  if (port !== nativePort) return;
+
+  if (port.error) {
+    console.error("[Rapunzel] Native app disconnected with error:", port.error.message);
+  } else {
+    console.log("[Rapunzel] Native app disconnected");
+  }
+
+  connectionLost(port.error
+    ? `Native app disconnected: ${port.error.message}`
+    : "Native app disconnected");
+}
+
+/**
+ * Forget the current port and schedule a reconnect
+ */
+function connectionLost(reason) {
+  nativePort = null;
+  stopHeartbeat();
+
+  // Nothing in flight can be answered on this port. Read-only requests
+  // wait for the next connection; the rest fail now.
+  const pending = Array.from(pendingRequests.values());
+  const replayable = pending.filter(r => REPLAYABLE_ACTIONS.includes(r.message.action));
+  rejectRequests(pending.filter(r => !replayable.includes(r)), new Error(reason));
+  requestQueue = replayable;
+  partialMessages.clear();
+
+  // A batch cannot report its end any more
+  if (batch && !batch.finished) {
+    batch = { ...batch, finished: true, summary: `Interrupted: ${reason}` };
+    saveBatch();
+  }
+
+  setConnectionState("disconnected", reason);
+  scheduleReconnect();
+}
+
+/**
+ * Handle status response
+ */
+function handleStatusResponse(message) {
+  browser.storage.local.set({
+    nativeAppVersion: message.version,
+    loadConcurrency: message.loadConcurrency,
+    packOutputDir: message.packOutputDir,
+    configDiagnostics: message.configDiagnostics || [],
+    lastStatusCheck: Date.now()
+  });
+
+  // The native app may have adopted loaders started by an earlier instance;
+  // its list is the truth about what is running
+  if (message.loaded) {
+    syncLoadedExtensions(message.loaded);
+  }
+
+  // Its config may have been changed by hand while we were not connected
+  if (message.settings) {
+    reconcileSettings(message.settings).catch(error => {
+      console.error("[Rapunzel] Could not sync settings:", error);
+    });
+  }
+
+  if (connection.state === "connecting") {
+    connection.reconnectAttempt = 0;
+    connection.lastPongAt = Date.now();
+    setConnectionState("connected");
+    startHeartbeat();
+    flushRequestQueue();
+
+    // A new native app instance does not know about open log viewers
+    if (logViewerPorts.size > 0) {
+      setLogStreaming(true).catch(() => {});
+    }
+  } else if (connection.state === "degraded") {
+    // Any reply shows the native app is answering again
+    missedHeartbeats = 0;
+    connection.lastPongAt = Date.now();
+    setConnectionState("connected");
+  }
+}
+
+/**
+ * Replace the loaded list with the native app's, keeping known load times
+ * The restore set is left alone: it only changes on explicit loads/unloads
+ */
+function syncLoadedExtensions(loaded) {
+  loadedExtensions = loaded.map(ext => {
+    const known = loadedExtensions.find(e => e.path === ext.path);
+    return {
+      name: ext.name,
+      path: ext.path,
+      autoReload: !!ext.autoReload,
+      loadedAt: known ? known.loadedAt : Date.now()
+    };
+  });
+  browser.storage.local.set({ loadedExtensions });
+}
+
+/**
+ * Copy the native app's settings into storage, where the popup and options
+ * page read them
+ * Before the native app kept autoLoadOnStartup, only the browser had it;
+ * that value is handed over once instead of being overwritten.
+ */
+async function reconcileSettings(settings) {
+  const stored = await browser.storage.local.get(["autoLoadOnStartup", "settingsSynced"]);
+
+  if (!stored.settingsSynced && typeof stored.autoLoadOnStartup === "boolean" &&
+      stored.autoLoadOnStartup !== settings.autoLoadOnStartup) {
+    const reply = await setSettings({ autoLoadOnStartup: stored.autoLoadOnStartup });
+    settings = reply.settings;
+  }
+
+  const update = { settingsSynced: true };
+  for (const [key, storageKey] of Object.entries(SHARED_SETTINGS_KEYS)) {
+    update[storageKey] = settings[key];
+  }
+  await browser.storage.local.set(update);
+}
+
+/**
+ * Handle settings changed in the native app, by another client or by an
+ * edit of its config file
+ */
+function handleConfigChanged(message) {
+  console.log("[Rapunzel] Settings changed (" + message.source + "):", message.changed.join(", ") || "none");
+
+  browser.storage.local.set({ configDiagnostics: message.configDiagnostics || [] });
+  reconcileSettings(message.settings).catch(error => {
+    console.error("[Rapunzel] Could not sync settings:", error);
+  });
+}
+
+/**
+ * Handle extensions list from native app
+ */
+function handleExtensionsList(message) {
+  availableExtensions = message.extensions || [];
+
+  browser.storage.local.set({
+    availableExtensions: message.extensions,
+    extensionFolder: message.folder,
+    extensionRoots: message.roots || [],
+    lastScan: Date.now()
+  });
+
+  notifyExtensionsUpdated();
+}
+
+/**
+ * Handle a change pushed by the native app's folder watcher
+ */
+function handleFolderChange(message) {
+  switch (message.type) {
+    case "extension_added":
+      availableExtensions = availableExtensions
+        .filter(e => e.path !== message.extension.path)
+        .concat(message.extension);
+      showNotification("Extension Added", `Found new extension: ${message.extension.name}`);
+      break;
+
+    case "extension_removed":
+      availableExtensions = availableExtensions.filter(e => e.path !== message.path);
+      break;
+
+    case "manifest_changed":
+      availableExtensions = availableExtensions.map(e =>
+        e.path === message.extension.path ? message.extension : e
+      );
+      break;
+  }
+
+  browser.storage.local.set({
+    availableExtensions,
+    lastScan: Date.now()
+  });
+
+  notifyExtensionsUpdated();
+}
+
+/**
+ * Push the current extensions list to the popup
+ */
+function notifyExtensionsUpdated() {
+  browser.runtime.sendMessage({
+    type: "extensions_updated",
+    extensions: availableExtensions
+  }).catch(() => {
+    // Popup not open, ignore
+  });
+}
+
+/**
+ * Handle load result
+ */
+function handleLoadResult(message) {
+  if (message.success) {
+    showNotification("Extension Loaded", `Successfully loaded: ${message.extensionName}`);
+
+    markLoaded({ ...message, name: message.extensionName });
+    saveLoadedExtensions();
+
+  } else {
+    showNotification("Load Failed", `Failed to load ${message.extensionName}: ${message.error}`);
+  }
+
+  // Notify popup
+  browser.runtime.sendMessage({
+    type: "load_result",
+    ...message
+  }).catch(() => {});
+}
+
+/**
+ * Handle unload result
+ */
+function handleUnloadResult(message) {
+  if (message.success) {
+    showNotification("Extension Unloaded", `Successfully unloaded: ${message.extensionName}`);
+
+    loadedExtensions = loadedExtensions.filter(e => e.path !== message.path);
+    saveLoadedExtensions();
+
+    if (crashes[message.path]) {
+      delete crashes[message.path];
+      browser.storage.local.set({ crashes });
+    }
+
+  } else {
+    showNotification("Unload Failed", `Failed to unload: ${message.error}`);
+  }
+
+  browser.runtime.sendMessage({
+    type: "unload_result",
+    ...message
+  }).catch(() => {});
+}
+
+/**
+ * Handle a workspace switch or unload
+ */
+function handleWorkspaceResult(message) {
+  const unloadedPaths = (message.unloaded || []).filter(r => r.success).map(r => r.path);
+  loadedExtensions = loadedExtensions.filter(e => !unloadedPaths.includes(e.path));
+
+  for (const result of message.loaded || []) {
+    if (result.success) {
+      markLoaded(result);
+    }
+  }
+
+  const activeWorkspace = message.type === "workspace_loaded" ? message.name : "";
+  browser.storage.local.set({ activeWorkspace });
+  saveLoadedExtensions();
+
+  if (message.type === "workspace_loaded") {
+    const summary = `Loaded ${message.totalLoaded} extension(s)` +
+      (message.totalFailed ? `, ${message.totalFailed} failed` : "");
+    showNotification(`Workspace: ${message.name}`, summary);
+  } else {
+    showNotification(`Workspace: ${message.name}`, `Unloaded ${unloadedPaths.length} extension(s)`);
+  }
+
+  browser.runtime.sendMessage({
+    type: message.type,
+    ...message
+  }).catch(() => {});
+}
+
+/**
+ * Handle the replies to load_all and unload_all
+ */
+function handleBatchResult(message) {
+  const loading = message.type === "load_all_result";
+
+  for (const result of message.results || []) {
+    if (!result.success) continue;
+
+    if (loading) {
+      markLoaded(result);
+    } else {
+      loadedExtensions = loadedExtensions.filter(e => e.path !== result.path);
+    }
+  }
+  saveLoadedExtensions();
+
+  const results = message.results || [];
+  const failed = results.filter(r => !r.success && !r.cancelled);
+  const done = loading ? message.totalLoaded : message.totalUnloaded;
+  const slowest = results.filter(r => r.duration !== undefined).sort((a, b) => b.duration - a.duration)[0];
+  const summary = `${loading ? "Loaded" : "Unloaded"} ${done} of ${results.length} extension(s)` +
+    (message.duration !== undefined ? ` in ${formatSeconds(message.duration)}` : "") +
+    (message.totalCancelled ? `, ${message.totalCancelled} cancelled` : "") +
+    (failed.length ? `. Failed: ${failed.map(r => `${r.name} (${r.error})`).join(", ")}` : "") +
+    (slowest && results.length > 1 ? `. Slowest: ${slowest.name} (${formatSeconds(slowest.duration)})` : "");
+
+  if (batch && batch.batchId === message.batchId) {
+    batch = { ...batch, finished: true, cancelled: !!message.cancelled, summary };
+    saveBatch();
+  }
+
+  if (results.length > 0) {
+    showNotification(loading ? "Extensions Loaded" : "Extensions Unloaded", summary);
+  }
+}
+
+/**
+ * Track the items of a running load_all/unload_all
+ */
+function handleBatchProgress(message) {
+  if (message.type === "batch_started") {
+    batch = {
+      batchId: message.batchId,
+      action: message.action,
+      items: message.items.map(item => ({ ...item, status: "queued" })),
+      startedAt: Date.now(),
+      finished: false,
+      summary: null
+    };
+  } else if (batch && batch.batchId === message.batchId) {
+    batch.items = batch.items.map(item => item.path === message.path
+      ? { ...item, status: message.status, error: message.error, duration: message.duration }
+      : item);
+  } else {
+    return;
+  }
+  saveBatch();
+}
+
+/**
+ * Format a duration in milliseconds as seconds, e.g. "1.2s"
+ */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Persist the batch state and show it in the popup
+ */
+function saveBatch() {
+  browser.storage.local.set({ batch });
+  browser.runtime.sendMessage({
+    type: "batch_updated",
+    batch
+  }).catch(() => {});
+}
+
+/**
+ * Handle the outcome of restoring the previous session's extensions
+ */
+function handleRestoreResult(message) {
+  const failed = message.restored.filter(r => !r.success);
+
+  for (const result of message.restored) {
+    if (result.success) {
+      markLoaded(result);
+    }
+  }
+
+  // Extensions that failed stay in the saved set, so the next startup
+  // tries them again
+  saveLoadedExtensions(failed.map(r => savedEntry(r)));
+  browser.storage.local.set({
+    lastRestore: {
+      restoredAt: Date.now(),
+      results: message.restored
+    }
+  });
+
+  if (message.restored.length > 0) {
+    const summary = `Restored ${message.totalRestored} of ${message.restored.length} extension(s)` +
+      (failed.length ? `. Failed: ${failed.map(r => `${r.name} (${r.error})`).join(", ")}` : "");
+    showNotification("Session Restored", summary);
+  }
+
+  browser.runtime.sendMessage({
+    type: "restore_result",
+    ...message
+  }).catch(() => {});
+}
+
+/**
+ * Handle a loader process that ended without being unloaded
+ */
+function handleExtensionExited(message) {
+  loadedExtensions = loadedExtensions.filter(e => e.path !== message.path);
+  saveLoadedExtensions();
+
+  crashes[message.path] = {
+    code: message.code,
+    signal: message.signal,
+    error: message.error,
+    crashed: message.crashed,
+    lastLines: (message.lastLines || []).map(line => line.text),
+    restart: message.restart,
+    exitedAt: Date.now()
+  };
+  browser.storage.local.set({ crashes });
+
+  const reason = message.error || (message.signal ? `killed by ${message.signal}` : `exit code ${message.code}`);
+  const restart = message.restart ? ` Restarting in ${Math.round(message.restart.delay / 1000)}s.` : "";
+  showNotification(
+    message.crashed ? "Extension Crashed" : "Extension Stopped",
+    `${message.extensionName} (${reason}).${restart}`
+  );
+
+  browser.runtime.sendMessage({
+    type: "extension_exited",
+    ...message
+  }).catch(() => {});
+}
+
+/**
+ * Handle the outcome of an automatic restart
+ */
+function handleExtensionRestarted(message) {
+  if (message.success) {
+    markLoaded({ ...message, name: message.extensionName });
+    saveLoadedExtensions();
+  } else if (crashes[message.path]) {
+    crashes[message.path] = { ...crashes[message.path], restart: message.restart, error: message.error };
+    browser.storage.local.set({ crashes });
+  }
+
+  browser.runtime.sendMessage({
+    type: "extension_restarted",
+    ...message
+  }).catch(() => {});
+}
+
+/**
+ * Add a successful load to the loaded list
+ */
+function markLoaded(result) {
+  loadedExtensions = loadedExtensions.filter(e => e.path !== result.path);
+  loadedExtensions.push({
+    name: result.name,
+    path: result.path,
+    autoReload: !!result.autoReload,
+    loadedAt: Date.now()
+  });
+
+  if (crashes[result.path]) {
+    delete crashes[result.path];
+    browser.storage.local.set({ crashes });
   }
 }
 
 /**
- * Handle disconnect from native app
+ * The part of a loaded extension that is needed to load it again
  */
-function handleDisconnect(port) {
-  isConnected = false;
-  nativePort = null;
-
-  if (port.error) {
-    console.error("[Rapunzel] Native app disconnected with error:", port.error.message);
-  } else {
-    console.log("[Rapunzel] Native app disconnected");
-  }
+function savedEntry(ext) {
+  return {
+    name: ext.name,
+    path: ext.path,
+    autoReload: !!ext.autoReload
+  };
 }
 
 /**
- * Handle status response
+ * Persist the loaded list, and the set to restore on the next startup
  */
-function handleStatusResponse(message) {
+function saveLoadedExtensions(extra = []) {
+  const savedPaths = loadedExtensions.map(e => e.path);
   browser.storage.local.set({
-    nativeAppVersion: message.version,
-    nativeAppStatus: "connected",
-    lastStatusCheck: Date.now()
+    loadedExtensions,
+    restoreSet: loadedExtensions.map(savedEntry)
+      .concat(extra.filter(e => !savedPaths.includes(e.path)))
   });
 }
 
 /**
- * Handle extensions list from native app
+ * Handle the outcome of an automatic (or manual) reload
  */
-function handleExtensionsList(message) {
-  loadedExtensions = message.extensions || [];
+function handleReloadResult(message) {
+  if (!message.success) {
+    showNotification("Reload Failed", `Failed to reload ${message.extensionName}: ${message.error}`);
+  }
 
-  browser.storage.local.set({
-    availableExtensions: message.extensions,
-    extensionFolder: message.folder,
-    lastScan: Date.now()
+  browser.storage.local.get("lastReloads").then(data => {
+    const lastReloads = data.lastReloads || {};
+    lastReloads[message.path] = {
+      success: message.success,
+      error: message.error,
+      duration: message.duration,
+      reloadedAt: message.reloadedAt
+    };
+    browser.storage.local.set({ lastReloads });
   });
 
-  // Notify popup if open
   browser.runtime.sendMessage({
-    type: "extensions_updated",
-    extensions: message.extensions
-  }).catch(() => {
-    // Popup not open, ignore
-  });
+    type: "reload_result",
+    ...message
+  }).catch(() => {});
 }
 
 /**
- * Handle load result
+ * Handle a packed extension, keeping the last package per extension
  */
-function handleLoadResult(message) {
+function handlePackResult(message) {
   if (message.success) {
-    showNotification("Extension Loaded", `Successfully loaded: ${message.extensionName}`);
-
-    // Update loaded list
-    if (!loadedExtensions.find(e => e.path === message.path)) {
-      loadedExtensions.push({
-        name: message.extensionName,
-        path: message.path,
-        loadedAt: Date.now()
-      });
-    }
-
-    browser.storage.local.set({ loadedExtensions });
-
+    showNotification("Extension Packed", `${message.extensionName}: ${message.file} (${formatSize(message.size)})`);
   } else {
-    showNotification("Load Failed", `Failed to load ${message.extensionName}: ${message.error}`);
+    showNotification("Pack Failed", `Failed to pack ${message.extensionName}: ${message.error}`);
   }
 
-  // Notify popup
+  const pack = {
+    success: message.success,
+    error: message.error,
+    file: message.file,
+    size: message.size,
+    sha256: message.sha256,
+    packedAt: Date.now()
+  };
+
+  browser.storage.local.get("lastPacks").then(data => {
+    const lastPacks = data.lastPacks || {};
+    lastPacks[message.path] = pack;
+    browser.storage.local.set({ lastPacks });
+  });
+
   browser.runtime.sendMessage({
-    type: "load_result",
-    ...message
+    type: "pack_updated",
+    path: message.path,
+    pack
   }).catch(() => {});
 }
 
 /**
- * Handle unload result
+ * Format a byte count for display
  */
-function handleUnloadResult(message) {
-  if (message.success) {
-    showNotification("Extension Unloaded", `Successfully unloaded: ${message.extensionName}`);
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-    // Remove from loaded list
-    loadedExtensions = loadedExtensions.filter(e => e.path !== message.path);
-    browser.storage.local.set({ loadedExtensions });
+/**
+ * Track build progress for an extension and pass it on to the popup
+ */
+function handleBuildMessage(message) {
+  const build = builds[message.path] || {};
 
-  } else {
-    showNotification("Unload Failed", `Failed to unload: ${message.error}`);
+  switch (message.type) {
+    case "build_started":
+      builds[message.path] = { state: "running", command: message.command, lastLine: "" };
+      browser.storage.local.set({ builds });
+      break;
+
+    case "build_output":
+      build.lastLine = message.lines[message.lines.length - 1];
+      builds[message.path] = build;
+      break;
+
+    case "build_result":
+      builds[message.path] = {
+        state: message.success ? "success" : "failed",
+        command: message.command,
+        error: message.error,
+        output: message.output,
+        duration: message.duration,
+        finishedAt: Date.now()
+      };
+      browser.storage.local.set({ builds });
+      break;
   }
 
   browser.runtime.sendMessage({
-    type: "unload_result",
-    ...message
+    type: "build_updated",
+    path: message.path,
+    build: builds[message.path]
   }).catch(() => {});
 }
 
+/**
+ * Handle auto-reload being switched on or off for an extension
+ */
+function handleAutoReloadSet(message) {
+  availableExtensions = availableExtensions.map(e =>
+    e.path === message.path ? { ...e, autoReload: message.enabled } : e
+  );
+  browser.storage.local.set({ availableExtensions });
+
+  if (loadedExtensions.some(e => e.path === message.path)) {
+    loadedExtensions = loadedExtensions.map(e =>
+      e.path === message.path ? { ...e, autoReload: message.enabled } : e
+    );
+    saveLoadedExtensions();
+  }
+
+  notifyExtensionsUpdated();
+}
+
 /**
  * Handle error from native app
  */
 function handleError(message) {
   console.error("[Rapunzel] Native app error:", message.error);
+
+  // The popup or options page that asked shows the error itself
+  if (pendingRequests.has(message.requestId)) return;
   showNotification("Error", message.error);
 }
 
@@ -182,36 +1096,117 @@ function showNotification(title, message) {
 }
 
 /**
- * Send message to native app
+ * Create a pending request with its own ID, promise and timeout
  */
-function sendToNative(message) {
-  if (!isConnected || !nativePort) {
-    connectToNativeApp();
+function createRequest(message, timeout) {
+  const requestId = nextRequestId++;
+  const request = { requestId, message: { ...message, requestId } };
 
-    // Retry after short delay
-    setTimeout(() => {
-      if (isConnected && nativePort) {
-        nativePort.postMessage(message);
-      }
-    }, 500);
-    return;
+  request.promise = new Promise((resolve, reject) => {
+    request.resolve = resolve;
+    request.reject = reject;
+  });
+
+  const limit = timeout || REQUEST_TIMEOUTS[message.action] || DEFAULT_REQUEST_TIMEOUT;
+  request.timer = setTimeout(() => {
+    pendingRequests.delete(requestId);
+    requestQueue = requestQueue.filter(r => r !== request);
+    request.reject(new Error(`Native app did not answer "${message.action}" within ${limit / 1000}s`));
+  }, limit);
+
+  pendingRequests.set(requestId, request);
+  return request;
+}
+
+/**
+ * Post a request on the current port
+ */
+function postRequest(request) {
+  try {
+    nativePort.postMessage(request.message);
+  } catch (error) {
+    rejectRequests([request], error);
+  }
+}
+
+/**
+ * Send every queued request now that the connection is confirmed
+ */
+function flushRequestQueue() {
+  const queued = requestQueue;
+  requestQueue = [];
+
+  for (const request of queued) {
+    postRequest(request);
+  }
+}
+
+/**
+ * Resolve or reject the request a native message answers
+ */
+function settleRequest(message) {
+  if (message.requestId === undefined) return;
+
+  const request = pendingRequests.get(message.requestId);
+  if (!request) return;
+
+  pendingRequests.delete(message.requestId);
+  clearTimeout(request.timer);
+
+  if (message.type === "error") {
+    // Rejected requests say why in a code, e.g. outside_roots
+    const error = new Error(message.error);
+    error.code = message.code;
+    request.reject(error);
+  } else {
+    request.resolve(message);
+  }
+}
+
+/**
+ * Reject a list of requests with the same error
+ */
+function rejectRequests(requests, error) {
+  for (const request of requests) {
+    pendingRequests.delete(request.requestId);
+    clearTimeout(request.timer);
+    request.reject(error);
+  }
+}
+
+/**
+ * Send a request to the native app and wait for its reply
+ * Requests made while disconnected are queued and trigger a connection
+ */
+function requestNative(message, timeout) {
+  const request = createRequest(message, timeout);
+
+  if (isReady()) {
+    postRequest(request);
+  } else {
+    requestQueue.push(request);
+    if (!nativePort) {
+      connectToNativeApp().catch(() => {
+        // Queued requests are rejected by the connection failure
+      });
+    }
   }
 
-  nativePort.postMessage(message);
+  return request.promise;
 }
 
 /**
  * API: Scan extensions folder
  */
 function scanExtensionsFolder() {
-  sendToNative({ action: "scan" });
+  return requestNative({ action: "scan" });
 }
 
 /**
  * API: Load specific extension
  */
 function loadExtension(extensionPath) {
-  sendToNative({
+  return requestNative({
     action: "load",
     path: extensionPath
   });
@@ -221,14 +1216,127 @@ function loadExtension(extensionPath) {
  * API: Load all extensions in folder
  */
 function loadAllExtensions() {
-  sendToNative({ action: "load_all" });
+  return requestNative({ action: "load_all" });
+}
+
+/**
+ * API: Load the extensions that were loaded when the browser last closed
+ */
+async function restoreLoadedExtensions() {
+  const { restoreSet } = await browser.storage.local.get("restoreSet");
+  const extensions = restoreSet || [];
+
+  console.log("[Rapunzel] Restoring", extensions.length, "extension(s)");
+  return requestNative({
+    action: "restore",
+    extensions
+  });
+}
+
+/**
+ * API: Get buffered log lines, optionally for one extension or after a seq
+ */
+function getLogs(extensionPath, since) {
+  return requestNative({
+    action: "get_logs",
+    path: extensionPath,
+    since
+  });
+}
+
+/**
+ * API: Forget buffered log lines of one extension, or of all of them
+ */
+function clearLogs(extensionPath) {
+  return requestNative({
+    action: "clear_logs",
+    path: extensionPath
+  });
+}
+
+/**
+ * API: Start or stop the native app pushing new log lines
+ */
+function setLogStreaming(enabled) {
+  return requestNative({
+    action: "subscribe_logs",
+    enabled: !!enabled
+  });
+}
+
+/**
+ * API: List loader processes known to the native app, running or stale
+ */
+function listLoaders() {
+  return requestNative({ action: "list_loaders" });
+}
+
+/**
+ * API: Stop loader processes that no native app instance controls
+ */
+function killStaleLoaders() {
+  return requestNative({ action: "kill_stale_loaders" });
+}
+
+/**
+ * API: Get a page of the native app's audit log, newest first
+ */
+function getAudit(query, offset, limit) {
+  return requestNative({
+    action: "get_audit",
+    query,
+    offset,
+    limit
+  });
+}
+
+/**
+ * API: Stop the running load_all/unload_all after its current extension
+ */
+function cancelBatch() {
+  return requestNative({
+    action: "cancel_batch",
+    batchId: batch && !batch.finished ? batch.batchId : undefined
+  });
+}
+
+/**
+ * API: Forget a finished batch, hiding its progress list
+ */
+function clearBatch() {
+  if (batch && batch.finished) {
+    batch = null;
+    saveBatch();
+  }
+  return { success: true };
+}
+
+/**
+ * API: Pack an extension into an .xpi (or .zip) in the package folder
+ */
+function packExtension(extensionPath, format) {
+  return requestNative({
+    action: "pack",
+    path: extensionPath,
+    format
+  });
+}
+
+/**
+ * API: Set the folder packages are written to (empty for the default)
+ */
+function setPackOutputDir(folderPath) {
+  return requestNative({
+    action: "set_pack_output_dir",
+    path: folderPath
+  });
 }
 
 /**
  * API: Unload specific extension
  */
 function unloadExtension(extensionPath) {
-  sendToNative({
+  return requestNative({
     action: "unload",
     path: extensionPath
   });
@@ -238,98 +1346,276 @@ function unloadExtension(extensionPath) {
  * API: Unload all loaded extensions
  */
 function unloadAllExtensions() {
-  sendToNative({ action: "unload_all" });
+  return requestNative({ action: "unload_all" });
+}
+
+/**
+ * API: List workspaces from the workspaces file
+ */
+function listWorkspaces() {
+  return requestNative({ action: "list_workspaces" });
+}
+
+/**
+ * API: Switch to a workspace
+ */
+function loadWorkspace(name) {
+  return requestNative({
+    action: "load_workspace",
+    name
+  });
+}
+
+/**
+ * API: Unload a workspace's extensions
+ */
+function unloadWorkspace(name) {
+  return requestNative({
+    action: "unload_workspace",
+    name
+  });
 }
 
 /**
  * API: Set extensions folder path
+ * The native app refuses unless the user confirmed giving it access
  */
-function setExtensionsFolder(folderPath) {
-  sendToNative({
+async function setExtensionsFolder(folderPath, confirmed) {
+  const reply = await requestNative({
     action: "set_folder",
-    path: folderPath
+    path: folderPath,
+    confirmed: !!confirmed
+  });
+
+  if (reply.success) {
+    await browser.storage.local.set({ extensionFolder: reply.path });
+  }
+  return reply;
+}
+
+/**
+ * API: Set extra extension roots (the main folder is always a root)
+ * The native app refuses unless the user confirmed giving it access
+ */
+function setExtensionRoots(roots, scanDepth, confirmed) {
+  return requestNative({
+    action: "set_roots",
+    roots,
+    scanDepth,
+    confirmed: !!confirmed
+  });
+}
+
+/**
+ * API: Turn auto-reload on or off for an extension
+ */
+function setAutoReload(extensionPath, enabled) {
+  return requestNative({
+    action: "set_auto_reload",
+    path: extensionPath,
+    enabled: !!enabled
   });
+}
+
+/**
+ * API: Set how many extensions load at the same time
+ */
+function setLoadConcurrency(concurrency) {
+  return requestNative({
+    action: "set_load_concurrency",
+    concurrency
+  });
+}
+
+/**
+ * API: Change settings the native app owns ({ extensionFolder,
+ * autoLoadOnStartup, watchEnabled }); a new folder must be confirmed
+ */
+function setSettings(settings, confirmed) {
+  return requestNative({
+    action: "set_settings",
+    settings,
+    confirmed: !!confirmed
+  });
+}
 
-  browser.storage.local.set({ extensionFolder: folderPath });
+/**
+ * API: Start or stop watching the extensions folder
+ */
+function setWatchFolder(enabled) {
+  return requestNative({
+    action: "watch_folder",
+    enabled: !!enabled
+  });
 }
 
 /**
  * Handle messages from popup/options
+ * Resolves with the native app's reply, or { success: false, error }
  */
-browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log("[Rapunzel] Internal message:", message);
+async function handleInternalMessage(message) {
+  // The page may just have been woken up by this message
+  await stateReady;
 
   switch (message.action) {
     case "get_status":
-      sendResponse({
-        isConnected,
+      return {
+        isConnected: isReady(),
+        connection,
         loadedExtensions,
         nativeAppId: NATIVE_APP_ID
-      });
-      break;
+      };
 
     case "connect":
-      connectToNativeApp();
-      sendResponse({ success: true });
-      break;
+      if (nativePort) {
+        return requestNative({ action: "status" });
+      }
+      // Asked for by the user: start the backoff over
+      connection.reconnectAttempt = 0;
+      return connectToNativeApp();
 
     case "scan":
-      scanExtensionsFolder();
-      sendResponse({ success: true });
-      break;
+      return scanExtensionsFolder();
 
     case "load":
-      loadExtension(message.path);
-      sendResponse({ success: true });
-      break;
+      return loadExtension(message.path);
 
     case "load_all":
-      loadAllExtensions();
-      sendResponse({ success: true });
-      break;
+      return loadAllExtensions();
 
     case "unload":
-      unloadExtension(message.path);
-      sendResponse({ success: true });
-      break;
+      return unloadExtension(message.path);
 
     case "unload_all":
-      unloadAllExtensions();
-      sendResponse({ success: true });
-      break;
+      return unloadAllExtensions();
+
+    case "cancel_batch":
+      return cancelBatch();
+
+    case "clear_batch":
+      return clearBatch();
 
     case "set_folder":
-      setExtensionsFolder(message.path);
-      sendResponse({ success: true });
-      break;
+      return setExtensionsFolder(message.path, message.confirmed);
+
+    case "set_roots":
+      return setExtensionRoots(message.roots, message.scanDepth, message.confirmed);
+
+    case "list_workspaces":
+      return listWorkspaces();
+
+    case "load_workspace":
+      return loadWorkspace(message.name);
+
+    case "unload_workspace":
+      return unloadWorkspace(message.name);
+
+    case "set_auto_reload":
+      return setAutoReload(message.path, message.enabled);
+
+    case "watch_folder":
+      return setWatchFolder(message.enabled);
+
+    case "set_settings":
+      return setSettings(message.settings, message.confirmed);
+
+    case "set_load_concurrency":
+      return setLoadConcurrency(message.concurrency);
+
+    case "pack":
+      return packExtension(message.path, message.format);
+
+    case "set_pack_output_dir":
+      return setPackOutputDir(message.path);
+
+    case "get_logs":
+      return getLogs(message.path, message.since);
+
+    case "clear_logs":
+      return clearLogs(message.path);
+
+    case "list_loaders":
+      return listLoaders();
+
+    case "kill_stale_loaders":
+      return killStaleLoaders();
+
+    case "get_audit":
+      return getAudit(message.query, message.offset, message.limit);
 
     default:
-      sendResponse({ error: "Unknown action" });
+      return { success: false, error: "Unknown action" };
   }
+}
+
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log("[Rapunzel] Internal message:", message);
+
+  handleInternalMessage(message)
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
 
   return true; // Keep channel open for async response
 });
 
+/**
+ * Log viewer pages connect with a port; new log lines are pushed to them
+ * for as long as the page stays open
+ */
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name !== "logs") return;
+
+  logViewerPorts.add(port);
+  if (logViewerPorts.size === 1) {
+    setLogStreaming(true).catch(error => {
+      console.error("[Rapunzel] Log streaming failed:", error.message);
+    });
+  }
+
+  port.onDisconnect.addListener(() => {
+    logViewerPorts.delete(port);
+    if (logViewerPorts.size === 0 && isReady()) {
+      setLogStreaming(false).catch(() => {});
+    }
+  });
+});
+
 /**
  * Initialize on startup
  */
-browser.runtime.onStartup.addListener(() => {
+browser.runtime.onStartup.addListener(async () => {
   console.log("[Rapunzel] Browser startup - connecting to native app");
+  await stateReady;
 
-  // Load settings and auto-connect
-  browser.storage.local.get(["autoLoadOnStartup", "extensionFolder"]).then(settings => {
-    if (settings.extensionFolder) {
-      connectToNativeApp();
-
-      if (settings.autoLoadOnStartup) {
-        // Wait for connection then load all
-        setTimeout(() => {
-          if (isConnected) {
-            loadAllExtensions();
-          }
-        }, 1000);
-      }
-    }
+  // Temporary add-ons do not survive a restart
+  loadedExtensions = [];
+  browser.storage.local.set({ loadedExtensions });
+
+  browser.storage.local.get(["autoLoadOnStartup", "extensionFolder", "extensionRoots", "settingsSynced"]).then(settings => {
+    // Extra roots alone are enough to have something to restore
+    if (!settings.extensionFolder && !(settings.extensionRoots || []).length) return;
+
+    // The initial connection below may already be on its way; either way
+    // this resolves once the native app has answered
+    const connected = nativePort ? requestNative({ action: "status" }) : connectToNativeApp();
+
+    // The native app's copy of the setting wins over the one in storage,
+    // which may predate an edit of its config file (unless ours was never
+    // handed over to it)
+    let autoLoad = settings.autoLoadOnStartup;
+    connected
+      .then(status => {
+        if (status.settings && settings.settingsSynced) {
+          autoLoad = status.settings.autoLoadOnStartup;
+        }
+        return autoLoad ? restoreLoadedExtensions() : null;
+      })
+      .catch(error => {
+        console.error("[Rapunzel] Startup restore failed:", error.message);
+        if (autoLoad) {
+          showNotification("Session Not Restored", error.message);
+        }
+      });
   });
 });
 
@@ -345,5 +1631,9 @@ browser.runtime.onInstalled.addListener((details) => {
   }
 });
 
-// Initial connection attempt
-connectToNativeApp();
+// Initial connection attempt, also made whenever the event page wakes up
+stateReady
+  .then(() => nativePort ? null : connectToNativeApp())
+  .catch(error => {
+    console.error("[Rapunzel] Initial connection failed:", error.message);
+  });
@@ -0,0 +1,200 @@
+/**
+ * Rapunzel - Log Viewer Script
+ */
+
+// Lines kept in the page; older ones are dropped
+const MAX_LINES = 5000;
+
+// DOM Elements
+const extensionFilter = document.getElementById('extensionFilter');
+const streamFilter = document.getElementById('streamFilter');
+const searchInput = document.getElementById('searchInput');
+const followCheckbox = document.getElementById('followLogs');
+const clearLogsBtn = document.getElementById('clearLogs');
+const logStatus = document.getElementById('logStatus');
+const logList = document.getElementById('logList');
+
+// State
+let lines = [];
+let lastSeq = 0;
+let extensionNames = {};
+
+/**
+ * Initialize log viewer
+ */
+async function init() {
+  const data = await browser.storage.local.get('availableExtensions');
+  for (const ext of data.availableExtensions || []) {
+    extensionNames[ext.path] = ext.name;
+  }
+
+  // Connect before fetching, so no line falls between the two
+  const port = browser.runtime.connect({ name: 'logs' });
+  port.onMessage.addListener((message) => {
+    if (message.type === 'log_lines') {
+      addLines(message.lines);
+    }
+  });
+
+  const response = await sendAction({ action: 'get_logs' });
+  if (response.success === false || response.type === 'error') {
+    logStatus.textContent = `Could not load logs: ${response.error}`;
+    logStatus.classList.add('error');
+  } else {
+    addLines(response.lines || []);
+  }
+
+  setupEventListeners();
+}
+
+/**
+ * Send an action to the background script
+ * Always resolves; failures come back as { success: false, error }
+ */
+async function sendAction(message) {
+  try {
+    const response = await browser.runtime.sendMessage(message);
+    return response || { success: false, error: 'No response from background script' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Add new lines (ignoring ones already shown) and refresh the view
+ */
+function addLines(newLines) {
+  const fresh = newLines.filter(line => line.seq > lastSeq);
+  if (fresh.length === 0) return;
+
+  lines = lines.concat(fresh);
+  if (lines.length > MAX_LINES) {
+    lines = lines.slice(-MAX_LINES);
+  }
+  lastSeq = fresh[fresh.length - 1].seq;
+
+  updateExtensionFilter(fresh);
+  render();
+}
+
+/**
+ * Add options for extensions that were not in the filter yet
+ */
+function updateExtensionFilter(newLines) {
+  const known = new Set(Array.from(extensionFilter.options).map(option => option.value));
+
+  for (const line of newLines) {
+    if (known.has(line.path)) continue;
+    known.add(line.path);
+
+    const option = document.createElement('option');
+    option.value = line.path;
+    option.textContent = getExtensionName(line.path);
+    option.title = line.path;
+    extensionFilter.appendChild(option);
+  }
+}
+
+/**
+ * Get a display name for an extension path
+ */
+function getExtensionName(extensionPath) {
+  return extensionNames[extensionPath] || extensionPath.split(/[/\\]/).pop();
+}
+
+/**
+ * Get the lines that pass the current filters
+ */
+function getVisibleLines() {
+  const extensionPath = extensionFilter.value;
+  const stream = streamFilter.value;
+  const query = searchInput.value.trim().toLowerCase();
+
+  return lines.filter(line =>
+    (!extensionPath || line.path === extensionPath) &&
+    (!stream || line.stream === stream) &&
+    (!query || line.text.toLowerCase().includes(query))
+  );
+}
+
+/**
+ * Render the visible lines
+ */
+function render() {
+  const visible = getVisibleLines();
+  const showExtension = !extensionFilter.value;
+
+  const fragment = document.createDocumentFragment();
+  for (const line of visible) {
+    const row = document.createElement('div');
+    row.className = `log-line stream-${line.stream}`;
+
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.textContent = new Date(line.time).toLocaleTimeString();
+    row.appendChild(time);
+
+    if (showExtension) {
+      const name = document.createElement('span');
+      name.className = 'log-extension';
+      name.title = line.path;
+      name.textContent = getExtensionName(line.path);
+      row.appendChild(name);
+    }
+
+    const stream = document.createElement('span');
+    stream.className = 'log-stream';
+    stream.textContent = line.stream;
+    row.appendChild(stream);
+
+    const text = document.createElement('span');
+    text.className = 'log-text';
+    text.textContent = line.text;
+    row.appendChild(text);
+
+    fragment.appendChild(row);
+  }
+
+  logList.textContent = '';
+  logList.appendChild(fragment);
+
+  logStatus.classList.remove('error');
+  logStatus.textContent = visible.length === lines.length
+    ? `${lines.length} line(s)`
+    : `${visible.length} of ${lines.length} line(s)`;
+
+  if (followCheckbox.checked) {
+    logList.scrollTop = logList.scrollHeight;
+  }
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  extensionFilter.addEventListener('change', render);
+  streamFilter.addEventListener('change', render);
+  searchInput.addEventListener('input', render);
+
+  followCheckbox.addEventListener('change', () => {
+    if (followCheckbox.checked) {
+      logList.scrollTop = logList.scrollHeight;
+    }
+  });
+
+  clearLogsBtn.addEventListener('click', async () => {
+    const extensionPath = extensionFilter.value || undefined;
+    const response = await sendAction({ action: 'clear_logs', path: extensionPath });
+    if (response.success === false || response.type === 'error') {
+      logStatus.textContent = `Could not clear logs: ${response.error}`;
+      logStatus.classList.add('error');
+      return;
+    }
+
+    lines = extensionPath ? lines.filter(line => line.path !== extensionPath) : [];
+    render();
+  });
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
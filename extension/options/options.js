@@ -7,13 +7,45 @@ const folderPathInput = document.getElementById('folderPath');
 const saveFolderBtn = document.getElementById('saveFolder');
 const testConnectionBtn = document.getElementById('testConnection');
 const testResult = document.getElementById('testResult');
+const extraRootsInput = document.getElementById('extraRoots');
+const scanDepthInput = document.getElementById('scanDepth');
+const saveRootsBtn = document.getElementById('saveRoots');
+
+const confirmBox = document.getElementById('confirmBox');
+const confirmPathsList = document.getElementById('confirmPaths');
+const confirmAllowBtn = document.getElementById('confirmAllow');
+const confirmCancelBtn = document.getElementById('confirmCancel');
+
+// Answers the confirmation being shown, see confirmFolders()
+let answerConfirm = null;
 
 const nativeAppStatusEl = document.getElementById('nativeAppStatus');
 const folderStatusEl = document.getElementById('folderStatus');
+const configStatusEl = document.getElementById('configStatus');
+const configProblemsList = document.getElementById('configProblems');
 
 const autoLoadCheckbox = document.getElementById('autoLoadOnStartup');
 const notificationsCheckbox = document.getElementById('showNotifications');
 const watchFolderCheckbox = document.getElementById('watchFolder');
+const loadConcurrencyInput = document.getElementById('loadConcurrency');
+const packOutputDirInput = document.getElementById('packOutputDir');
+
+const killStaleLoadersBtn = document.getElementById('killStaleLoaders');
+const staleLoadersResult = document.getElementById('staleLoadersResult');
+
+const historySearchInput = document.getElementById('historySearch');
+const refreshHistoryBtn = document.getElementById('refreshHistory');
+const historyList = document.getElementById('historyList');
+const historyStatus = document.getElementById('historyStatus');
+const moreHistoryBtn = document.getElementById('moreHistory');
+
+// Audit log entries fetched per page, and how long typing in the search
+// box waits before asking again
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_SEARCH_DELAY = 300;
+
+let historyEntries = [];
+let historySearchTimer = null;
 
 const openAboutDebuggingBtn = document.getElementById('openAboutDebugging');
 
@@ -24,11 +56,17 @@ async function init() {
   // Load saved settings
   const settings = await browser.storage.local.get([
     'extensionFolder',
+    'extensionRoots',
+    'scanDepth',
     'autoLoadOnStartup',
     'showNotifications',
     'watchFolder',
+    'loadConcurrency',
+    'packOutputDir',
     'nativeAppStatus',
-    'nativeAppVersion'
+    'nativeAppVersion',
+    'connectionError',
+    'configDiagnostics'
   ]);
 
   // Populate folder path
@@ -37,40 +75,74 @@ async function init() {
     updateFolderStatus(true, settings.extensionFolder);
   }
 
+  // Populate extra roots (the main folder is listed separately)
+  const extraRoots = (settings.extensionRoots || [])
+    .map(root => root.path)
+    .filter(rootPath => rootPath !== settings.extensionFolder);
+  extraRootsInput.value = extraRoots.join('\n');
+  if (settings.scanDepth) {
+    scanDepthInput.value = settings.scanDepth;
+  }
+
   // Populate checkboxes
   autoLoadCheckbox.checked = settings.autoLoadOnStartup || false;
   notificationsCheckbox.checked = settings.showNotifications !== false; // default true
   watchFolderCheckbox.checked = settings.watchFolder || false;
+  if (settings.loadConcurrency) {
+    loadConcurrencyInput.value = settings.loadConcurrency;
+  }
+  packOutputDirInput.value = settings.packOutputDir || '';
 
   // Check native app status
-  if (settings.nativeAppStatus === 'connected') {
-    updateNativeAppStatus(true, settings.nativeAppVersion);
-  } else {
-    updateNativeAppStatus(false);
-  }
+  updateNativeAppStatus(settings.nativeAppStatus, settings.nativeAppVersion, settings.connectionError);
+  updateConfigStatus(settings.configDiagnostics);
 
   // Setup event listeners
   setupEventListeners();
 
   // Initial connection test
   testNativeConnection();
+
+  loadHistory();
 }
 
 /**
  * Update native app status display
  */
-function updateNativeAppStatus(connected, version = null) {
+function updateNativeAppStatus(state, version = null, error = null) {
   const icon = nativeAppStatusEl.querySelector('.status-icon');
   const value = nativeAppStatusEl.querySelector('.status-value');
-
-  if (connected) {
-    icon.textContent = '●';
-    icon.className = 'status-icon success';
-    value.textContent = version ? `Connected (v${version})` : 'Connected';
-  } else {
-    icon.textContent = '○';
-    icon.className = 'status-icon pending';
-    value.textContent = 'Not installed';
+  value.title = error || '';
+
+  switch (state) {
+    case 'connected':
+      icon.textContent = '●';
+      icon.className = 'status-icon success';
+      value.textContent = version ? `Connected (v${version})` : 'Connected';
+      break;
+
+    case 'degraded':
+      icon.textContent = '●';
+      icon.className = 'status-icon pending';
+      value.textContent = 'Not responding';
+      break;
+
+    case 'connecting':
+      icon.textContent = '○';
+      icon.className = 'status-icon pending';
+      value.textContent = 'Connecting...';
+      break;
+
+    default:
+      icon.textContent = '○';
+      // Firefox reports a missing host as "No such native application"
+      if (!error || /no such native application/i.test(error)) {
+        icon.className = 'status-icon pending';
+        value.textContent = 'Not installed';
+      } else {
+        icon.className = 'status-icon error';
+        value.textContent = 'Disconnected';
+      }
   }
 }
 
@@ -92,6 +164,39 @@ function updateFolderStatus(configured, path = null) {
   }
 }
 
+/**
+ * Show problems the native app found in its config.json
+ */
+function updateConfigStatus(diagnostics) {
+  const icon = configStatusEl.querySelector('.status-icon');
+  const value = configStatusEl.querySelector('.status-value');
+
+  // Not reported until the native app has answered a status request
+  if (!diagnostics) {
+    icon.textContent = '○';
+    icon.className = 'status-icon pending';
+    value.textContent = 'Unknown';
+    configProblemsList.style.display = 'none';
+    return;
+  }
+
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  icon.textContent = '●';
+  icon.className = 'status-icon ' + (errors.length > 0 ? 'error' : diagnostics.length > 0 ? 'pending' : 'success');
+  value.textContent = diagnostics.length === 0
+    ? 'OK'
+    : `${diagnostics.length} problem(s) in ~/.rapunzel/config.json`;
+
+  configProblemsList.textContent = '';
+  for (const diagnostic of diagnostics) {
+    const item = document.createElement('li');
+    item.className = diagnostic.severity;
+    item.textContent = diagnostic.message;
+    configProblemsList.appendChild(item);
+  }
+  configProblemsList.style.display = diagnostics.length > 0 ? '' : 'none';
+}
+
 /**
  * Truncate long paths for display
  */
@@ -113,20 +218,58 @@ async function testNativeConnection() {
   try {
     const response = await browser.runtime.sendMessage({ action: 'get_status' });
 
-    if (response.isConnected) {
-      updateNativeAppStatus(true);
-      return true;
-    } else {
-      updateNativeAppStatus(false);
-      return false;
-    }
+    const { nativeAppVersion } = await browser.storage.local.get('nativeAppVersion');
+    updateNativeAppStatus(response.connection.state, nativeAppVersion, response.connection.error);
+    return response.isConnected;
   } catch (error) {
     console.error('Failed to test connection:', error);
-    updateNativeAppStatus(false);
+    updateNativeAppStatus('disconnected', null, error.message);
     return false;
   }
 }
 
+/**
+ * Send an action to the background script
+ * Always resolves; failures come back as { success: false, error }
+ */
+async function sendAction(message) {
+  try {
+    const response = await browser.runtime.sendMessage(message);
+    return response || { success: false, error: 'No response from background script' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Ask whether the helper may use these folders
+ * Asked in the page itself: browser prompts are unreliable in an options
+ * page shown inside about:addons. Resolves with true once allowed; asking
+ * again answers the earlier question with false.
+ */
+function confirmFolders(paths) {
+  if (answerConfirm) {
+    answerConfirm(false);
+  }
+
+  confirmPathsList.textContent = '';
+  for (const folder of paths) {
+    const item = document.createElement('li');
+    item.textContent = folder;
+    confirmPathsList.appendChild(item);
+  }
+  confirmBox.style.display = 'block';
+  confirmAllowBtn.focus();
+
+  return new Promise((resolve) => {
+    answerConfirm = (allowed) => {
+      answerConfirm = null;
+      confirmBox.style.display = 'none';
+      resolve(allowed);
+    };
+  });
+}
+
 /**
  * Setup event listeners
  */
@@ -140,61 +283,167 @@ function setupEventListeners() {
       return;
     }
 
-    // Save to storage
-    await browser.storage.local.set({ extensionFolder: folderPath });
+    // The helper may read, build and load anything in this folder
+    if (!await confirmFolders([folderPath])) {
+      return;
+    }
 
-    // Notify background script
-    browser.runtime.sendMessage({
+    // Background saves to storage once the native app accepts it
+    const response = await sendAction({
       action: 'set_folder',
-      path: folderPath
+      path: folderPath,
+      confirmed: true
     });
 
-    updateFolderStatus(true, folderPath);
-    showTestResult(true, 'Folder path saved successfully');
+    if (response.success) {
+      folderPathInput.value = response.path;
+      updateFolderStatus(true, response.path);
+      showTestResult(true, 'Folder path saved successfully');
+    } else {
+      showTestResult(false, `Could not save folder: ${response.error}`);
+    }
   });
 
+  // Save extra roots
+  saveRootsBtn.addEventListener('click', async () => {
+    const roots = extraRootsInput.value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    const scanDepth = parseInt(scanDepthInput.value, 10) || 3;
+
+    if (roots.length > 0 && !await confirmFolders(roots)) {
+      return;
+    }
+
+    const response = await sendAction({
+      action: 'set_roots',
+      roots,
+      scanDepth,
+      confirmed: true
+    });
+
+    if (response.success) {
+      showTestResult(true, `Saved ${roots.length} extra root(s)`);
+    } else {
+      showTestResult(false, `Could not save roots: ${response.error}`);
+    }
+  });
+
+  confirmAllowBtn.addEventListener('click', () => answerConfirm && answerConfirm(true));
+  confirmCancelBtn.addEventListener('click', () => answerConfirm && answerConfirm(false));
+
   // Test connection button
   testConnectionBtn.addEventListener('click', async () => {
     testConnectionBtn.disabled = true;
     testConnectionBtn.textContent = 'Testing...';
 
-    // Try to connect
-    await browser.runtime.sendMessage({ action: 'connect' });
-
-    // Wait a moment for connection
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    const connected = await testNativeConnection();
+    // Connect and wait for the native app's status reply
+    const response = await sendAction({ action: 'connect' });
 
     testConnectionBtn.disabled = false;
     testConnectionBtn.textContent = 'Test Native App Connection';
 
-    if (connected) {
+    if (response.success !== false) {
+      updateNativeAppStatus('connected', response.version);
       showTestResult(true, 'Successfully connected to native helper app!');
     } else {
-      showTestResult(false, 'Could not connect to native helper app. Please ensure it is installed correctly.');
+      updateNativeAppStatus('disconnected', null, response.error);
+      showTestResult(false, `Could not connect to native helper app (${response.error}). Please ensure it is installed correctly.`);
     }
   });
 
-  // Settings checkboxes
-  autoLoadCheckbox.addEventListener('change', () => {
-    browser.storage.local.set({ autoLoadOnStartup: autoLoadCheckbox.checked });
+  // Settings checkboxes; the shared ones are saved in the native app's
+  // config, which updates storage when it has
+  autoLoadCheckbox.addEventListener('change', async () => {
+    const response = await sendAction({
+      action: 'set_settings',
+      settings: { autoLoadOnStartup: autoLoadCheckbox.checked }
+    });
+
+    if (response.success === false || response.type === 'error') {
+      showTestResult(false, `Could not change auto-load: ${response.error}`);
+      const { autoLoadOnStartup } = await browser.storage.local.get('autoLoadOnStartup');
+      autoLoadCheckbox.checked = autoLoadOnStartup || false;
+    }
   });
 
   notificationsCheckbox.addEventListener('change', () => {
     browser.storage.local.set({ showNotifications: notificationsCheckbox.checked });
   });
 
-  watchFolderCheckbox.addEventListener('change', () => {
-    browser.storage.local.set({ watchFolder: watchFolderCheckbox.checked });
+  watchFolderCheckbox.addEventListener('change', async () => {
+    const response = await sendAction({
+      action: 'set_settings',
+      settings: { watchEnabled: watchFolderCheckbox.checked }
+    });
 
-    // Notify background to start/stop watching
-    browser.runtime.sendMessage({
-      action: 'watch_folder',
-      enabled: watchFolderCheckbox.checked
+    if (response.success === false || response.type === 'error') {
+      showTestResult(false, `Could not change folder watching: ${response.error}`);
+      const { watchFolder } = await browser.storage.local.get('watchFolder');
+      watchFolderCheckbox.checked = watchFolder || false;
+    } else if (response.settings.watchEnabled && !response.watching) {
+      showTestResult(false, 'Watching is on, but the extensions folder could not be watched');
+    }
+  });
+
+  loadConcurrencyInput.addEventListener('change', async () => {
+    const response = await sendAction({
+      action: 'set_load_concurrency',
+      concurrency: parseInt(loadConcurrencyInput.value, 10)
     });
+
+    if (response.success === false || response.type === 'error') {
+      showTestResult(false, `Could not change concurrent loads: ${response.error}`);
+      const { loadConcurrency } = await browser.storage.local.get('loadConcurrency');
+      loadConcurrencyInput.value = loadConcurrency || 4;
+    }
   });
 
+  packOutputDirInput.addEventListener('change', async () => {
+    const response = await sendAction({
+      action: 'set_pack_output_dir',
+      path: packOutputDirInput.value.trim()
+    });
+
+    if (response.success === false || response.type === 'error') {
+      showTestResult(false, `Could not change the package folder: ${response.error}`);
+      const { packOutputDir } = await browser.storage.local.get('packOutputDir');
+      packOutputDirInput.value = packOutputDir || '';
+    } else {
+      packOutputDirInput.value = response.outputDir;
+    }
+  });
+
+  // Stop loaders left behind by earlier helper app instances
+  killStaleLoadersBtn.addEventListener('click', async () => {
+    killStaleLoadersBtn.disabled = true;
+    const response = await sendAction({ action: 'kill_stale_loaders' });
+    killStaleLoadersBtn.disabled = false;
+
+    staleLoadersResult.style.display = 'block';
+    if (response.success === false || response.type === 'error') {
+      staleLoadersResult.className = 'test-result error';
+      staleLoadersResult.textContent = `Could not stop stale loaders: ${response.error}`;
+      return;
+    }
+
+    const failed = response.killed.filter(k => !k.success);
+    staleLoadersResult.className = 'test-result ' + (failed.length === 0 ? 'success' : 'error');
+    staleLoadersResult.textContent = response.killed.length === 0
+      ? 'No stale loaders found.'
+      : `Stopped ${response.totalKilled} stale loader(s).` +
+        (failed.length > 0 ? ` Could not stop: ${failed.map(k => `${k.name} (PID ${k.pid})`).join(', ')}` : '');
+  });
+
+  // Audit log history
+  historySearchInput.addEventListener('input', () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(() => loadHistory(), HISTORY_SEARCH_DELAY);
+  });
+  refreshHistoryBtn.addEventListener('click', () => loadHistory());
+  moreHistoryBtn.addEventListener('click', () => loadHistory(true));
+
   // Open about:debugging
   openAboutDebuggingBtn.addEventListener('click', () => {
     browser.tabs.create({ url: 'about:debugging#/runtime/this-firefox' });
@@ -203,8 +452,26 @@ function setupEventListeners() {
   // Listen for storage changes
   browser.storage.onChanged.addListener((changes, area) => {
     if (area === 'local') {
-      if (changes.nativeAppStatus) {
-        updateNativeAppStatus(changes.nativeAppStatus.newValue === 'connected');
+      if (changes.nativeAppStatus || changes.connectionError) {
+        browser.storage.local.get(['nativeAppStatus', 'nativeAppVersion', 'connectionError']).then(data => {
+          updateNativeAppStatus(data.nativeAppStatus, data.nativeAppVersion, data.connectionError);
+        });
+      }
+      if (changes.configDiagnostics) {
+        updateConfigStatus(changes.configDiagnostics.newValue);
+      }
+
+      // Shared settings change here when the native app's config does,
+      // including edits of the file itself
+      if (changes.autoLoadOnStartup) {
+        autoLoadCheckbox.checked = changes.autoLoadOnStartup.newValue || false;
+      }
+      if (changes.watchFolder) {
+        watchFolderCheckbox.checked = changes.watchFolder.newValue || false;
+      }
+      if (changes.extensionFolder && changes.extensionFolder.newValue) {
+        folderPathInput.value = changes.extensionFolder.newValue;
+        updateFolderStatus(true, changes.extensionFolder.newValue);
       }
     }
   });
@@ -215,6 +482,81 @@ function setupEventListeners() {
   }
 }
 
+/**
+ * Fetch audit log entries matching the search box, newest first
+ * With more set, the next page is added to the ones shown
+ */
+async function loadHistory(more = false) {
+  const query = historySearchInput.value.trim();
+  const response = await sendAction({
+    action: 'get_audit',
+    query,
+    offset: more ? historyEntries.length : 0,
+    limit: HISTORY_PAGE_SIZE
+  });
+
+  // A newer search was typed while this one was running
+  if (query !== historySearchInput.value.trim()) return;
+
+  if (response.success === false || response.type === 'error') {
+    historyStatus.textContent = `Could not read the history: ${response.error}`;
+    historyStatus.classList.add('error');
+    return;
+  }
+
+  historyEntries = more ? historyEntries.concat(response.entries) : response.entries;
+  renderHistory(response.total);
+}
+
+/**
+ * Render the fetched audit log entries
+ */
+function renderHistory(total) {
+  const fragment = document.createDocumentFragment();
+  for (const entry of historyEntries) {
+    const row = document.createElement('div');
+    row.className = 'history-entry';
+
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = new Date(entry.time).toLocaleString();
+    row.appendChild(time);
+
+    const action = document.createElement('span');
+    action.className = 'history-action';
+    action.textContent = entry.action;
+    row.appendChild(action);
+
+    const target = document.createElement('span');
+    target.className = 'history-target';
+    target.textContent = entry.name || (entry.roots ? entry.roots.join(', ') : entry.path) || '';
+    target.title = [entry.path, entry.command, entry.file, entry.error].filter(Boolean).join('\n');
+    row.appendChild(target);
+
+    const caller = document.createElement('span');
+    caller.className = 'history-caller';
+    caller.textContent = entry.caller;
+    row.appendChild(caller);
+
+    const result = document.createElement('span');
+    result.className = `history-result ${entry.result}`;
+    result.textContent = entry.result;
+    result.title = entry.code ? `${entry.code}: ${entry.error}` : entry.error || '';
+    row.appendChild(result);
+
+    fragment.appendChild(row);
+  }
+
+  historyList.textContent = '';
+  historyList.appendChild(fragment);
+
+  historyStatus.classList.remove('error');
+  historyStatus.textContent = total === 0
+    ? (historySearchInput.value.trim() ? 'No matching entries.' : 'Nothing recorded yet.')
+    : `${historyEntries.length} of ${total} entries`;
+  moreHistoryBtn.style.display = historyEntries.length < total ? '' : 'none';
+}
+
 /**
  * Show test result message
  */
@@ -7,24 +7,42 @@
 const statusDot = document.querySelector('.status-dot');
 const statusText = document.querySelector('.status-text');
 const errorBanner = document.getElementById('errorBanner');
+const errorBannerText = document.getElementById('errorBannerText');
+const actionError = document.getElementById('actionError');
 const folderPathEl = document.getElementById('folderPath');
 const extensionsList = document.getElementById('extensionsList');
 const extCount = document.getElementById('extCount');
+const workspaceSection = document.getElementById('workspaceSection');
+const workspaceSelect = document.getElementById('workspaceSelect');
+const batchSection = document.getElementById('batchSection');
+const batchTitle = document.getElementById('batchTitle');
+const batchList = document.getElementById('batchList');
+const batchSummary = document.getElementById('batchSummary');
 
 // Buttons
 const loadAllBtn = document.getElementById('loadAll');
 const unloadAllBtn = document.getElementById('unloadAll');
+const cancelBatchBtn = document.getElementById('cancelBatch');
 const scanFolderBtn = document.getElementById('scanFolder');
 const retryConnectBtn = document.getElementById('retryConnect');
 const openSetupLink = document.getElementById('openSetup');
 const openOptionsBtn = document.getElementById('openOptions');
 const openAboutDebuggingLink = document.getElementById('openAboutDebugging');
+const openLogsLink = document.getElementById('openLogs');
 const openOptionsPageLink = document.getElementById('openOptionsPage');
 
 // State
 let isConnected = false;
+let connection = null;
 let extensions = [];
 let loadedExtensions = [];
+let lastReloads = {};
+let lastPacks = {};
+let builds = {};
+let crashes = {};
+let batch = null;
+let activeWorkspace = '';
+let actionErrorTimer = null;
 
 /**
  * Initialize popup
@@ -33,14 +51,31 @@ async function init() {
   // Load saved data
   const data = await browser.storage.local.get([
     'extensionFolder',
+    'extensionRoots',
     'availableExtensions',
     'loadedExtensions',
+    'lastReloads',
+    'lastPacks',
+    'builds',
+    'crashes',
+    'batch',
     'nativeAppStatus'
   ]);
 
+  lastReloads = data.lastReloads || {};
+  lastPacks = data.lastPacks || {};
+  builds = data.builds || {};
+  crashes = data.crashes || {};
+  batch = data.batch || null;
+  renderBatch();
+
   // Update folder display
   if (data.extensionFolder) {
-    folderPathEl.textContent = data.extensionFolder;
+    const roots = data.extensionRoots || [];
+    folderPathEl.textContent = roots.length > 1
+      ? `${data.extensionFolder} (+${roots.length - 1} more)`
+      : data.extensionFolder;
+    folderPathEl.title = roots.map(root => root.path).join('\n') || data.extensionFolder;
     folderPathEl.classList.remove('not-set');
   } else {
     folderPathEl.textContent = 'Not configured';
@@ -69,17 +104,20 @@ async function checkStatus() {
     const response = await browser.runtime.sendMessage({ action: 'get_status' });
 
     isConnected = response.isConnected;
+    connection = response.connection || null;
     loadedExtensions = response.loadedExtensions || [];
 
     updateStatusUI();
 
     if (isConnected) {
       // Request fresh scan
-      browser.runtime.sendMessage({ action: 'scan' });
+      runAction({ action: 'scan' });
+      loadWorkspaces();
     }
   } catch (error) {
     console.error('Failed to get status:', error);
     isConnected = false;
+    connection = null;
     updateStatusUI();
   }
 }
@@ -88,22 +126,86 @@ async function checkStatus() {
  * Update status UI elements
  */
 function updateStatusUI() {
-  if (isConnected) {
-    statusDot.className = 'status-dot connected';
-    statusText.textContent = 'Connected';
-    errorBanner.style.display = 'none';
+  const state = connection ? connection.state : (isConnected ? 'connected' : 'disconnected');
+  statusText.title = connection && connection.error ? connection.error : '';
+
+  switch (state) {
+    case 'connected':
+      statusDot.className = 'status-dot connected';
+      statusText.textContent = 'Connected';
+      break;
+
+    case 'degraded':
+      statusDot.className = 'status-dot degraded';
+      statusText.textContent = 'Not responding';
+      break;
+
+    case 'connecting':
+      statusDot.className = 'status-dot loading';
+      statusText.textContent = 'Connecting...';
+      break;
+
+    default:
+      statusDot.className = 'status-dot disconnected';
+      statusText.textContent = 'Disconnected';
+  }
 
-    loadAllBtn.disabled = false;
-    unloadAllBtn.disabled = false;
-    scanFolderBtn.disabled = false;
-  } else {
-    statusDot.className = 'status-dot disconnected';
-    statusText.textContent = 'Disconnected';
+  if (state === 'disconnected') {
+    errorBannerText.textContent = describeDisconnect(connection);
     errorBanner.style.display = 'flex';
+  } else {
+    errorBanner.style.display = 'none';
+  }
 
-    loadAllBtn.disabled = true;
-    unloadAllBtn.disabled = true;
-    scanFolderBtn.disabled = true;
+  const batchRunning = !!batch && !batch.finished;
+  loadAllBtn.disabled = !isConnected || batchRunning;
+  unloadAllBtn.disabled = !isConnected || batchRunning;
+  scanFolderBtn.disabled = !isConnected;
+}
+
+/**
+ * Explain why the native app is not connected, and when it is tried again
+ */
+function describeDisconnect(info) {
+  let text = 'Native helper app not connected.';
+  if (info && info.error) {
+    text += ` ${info.error.replace(/\.$/, '')}.`;
+  }
+  if (info && info.reconnectAt) {
+    const seconds = Math.max(1, Math.round((info.reconnectAt - Date.now()) / 1000));
+    text += ` Retrying in ${seconds}s.`;
+  }
+  return text;
+}
+
+/**
+ * Show the error from a failed action for a few seconds
+ */
+function showActionError(message) {
+  actionError.textContent = message;
+  actionError.style.display = 'block';
+
+  clearTimeout(actionErrorTimer);
+  actionErrorTimer = setTimeout(() => {
+    actionError.style.display = 'none';
+  }, 8000);
+}
+
+/**
+ * Send an action to the background script, surfacing any failure
+ * Resolves with the reply, or null if the action failed
+ */
+async function runAction(message) {
+  try {
+    const response = await browser.runtime.sendMessage(message);
+    if (response && response.success === false) {
+      showActionError(response.error || `${message.action} failed`);
+      return null;
+    }
+    return response;
+  } catch (error) {
+    showActionError(error.message);
+    return null;
   }
 }
 
@@ -216,35 +318,360 @@ function renderExtensions() {
     return;
   }
 
+  // Group by root, keeping the order roots first appear in
+  const groups = new Map();
   for (const ext of extensions) {
-    const isLoaded = loadedExtensions.some(le => le.path === ext.path);
+    const root = ext.root || '';
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(ext);
+  }
 
-    const actionBtn = createElement('button', {
-      className: isLoaded ? 'unload-btn' : 'load-btn',
-      'data-action': isLoaded ? 'unload' : 'load',
-      'data-path': ext.path,
-      textContent: isLoaded ? 'Unload' : 'Load'
-    });
-    actionBtn.addEventListener('click', handleExtensionAction);
+  for (const [root, rootExtensions] of groups) {
+    if (groups.size > 1) {
+      extensionsList.appendChild(createElement('div', {
+        className: 'root-header',
+        title: root,
+        textContent: `${getFolderName(root)} (${rootExtensions.length})`
+      }));
+    }
+
+    for (const ext of rootExtensions) {
+      extensionsList.appendChild(renderExtensionItem(ext));
+    }
+  }
+}
+
+/**
+ * Get the last path segment for display
+ */
+function getFolderName(folderPath) {
+  const parts = folderPath.split(/[/\\]/).filter(Boolean);
+  return parts[parts.length - 1] || folderPath;
+}
+
+/**
+ * Render a single extension row
+ */
+function renderExtensionItem(ext) {
+  const isLoaded = loadedExtensions.some(le => le.path === ext.path);
+  const isInvalid = ext.valid === false;
+
+  const actionBtn = createElement('button', {
+    className: isLoaded ? 'unload-btn' : 'load-btn',
+    'data-action': isLoaded ? 'unload' : 'load',
+    'data-path': ext.path,
+    textContent: isLoaded ? 'Unload' : 'Load'
+  });
+  actionBtn.addEventListener('click', handleExtensionAction);
+  if (isInvalid && !isLoaded) {
+    actionBtn.disabled = true;
+    actionBtn.title = 'Fix the manifest errors before loading';
+  }
+
+  const reloadToggle = createElement('button', {
+    className: `reload-toggle ${ext.autoReload ? 'active' : ''}`,
+    'data-path': ext.path,
+    title: ext.autoReload ? 'Auto-reload on (click to turn off)' : 'Auto-reload off (click to turn on)',
+    textContent: '⟳'
+  });
+  reloadToggle.addEventListener('click', handleAutoReloadToggle);
+
+  const packBtn = createElement('button', {
+    className: 'pack-btn',
+    'data-path': ext.path,
+    title: 'Pack into an .xpi',
+    textContent: 'Pack'
+  });
+  packBtn.addEventListener('click', handlePack);
+  if (isInvalid) {
+    packBtn.disabled = true;
+    packBtn.title = 'Fix the manifest errors before packing';
+  }
+
+  const build = builds[ext.path];
+  const crash = !isLoaded && crashes[ext.path];
+
+  let statusClass = 'available';
+  let statusLabel = 'Available';
+  if (build && build.state === 'running') {
+    statusClass = 'building';
+    statusLabel = 'Building';
+  } else if (isLoaded) {
+    statusClass = 'loaded';
+    statusLabel = 'Loaded';
+  } else if (crash && crash.restart) {
+    statusClass = 'crashed';
+    statusLabel = 'Restarting';
+  } else if (crash && crash.crashed) {
+    statusClass = 'crashed';
+    statusLabel = 'Crashed';
+  } else if (isInvalid) {
+    statusClass = 'invalid';
+    statusLabel = 'Invalid';
+  } else if (ext.settings && !ext.settings.enabled) {
+    statusClass = 'disabled';
+    statusLabel = 'Disabled';
+  }
 
-    const item = createElement('div', {
-      className: `extension-item ${isLoaded ? 'loaded' : ''}`,
-      'data-path': ext.path
-    }, [
+  const item = createElement('div', {
+    className: `extension-item ${isLoaded ? 'loaded' : ''} ${isInvalid ? 'invalid' : ''}`,
+    'data-path': ext.path
+  }, [
+    createElement('div', { className: 'ext-row' }, [
       createElement('div', { className: 'ext-icon', textContent: getExtensionIcon(ext) }),
       createElement('div', { className: 'ext-info' }, [
         createElement('div', { className: 'ext-name', textContent: ext.name }),
-        createElement('div', { className: 'ext-path', title: ext.path, textContent: ext.folder })
+        createElement('div', { className: 'ext-path', title: ext.path, textContent: ext.folder }),
+        renderBuildInfo(ext),
+        renderCrashInfo(ext, crash),
+        renderReloadInfo(ext),
+        renderPackInfo(ext)
       ]),
       createElement('span', {
-        className: `ext-status ${isLoaded ? 'loaded' : 'available'}`,
-        textContent: isLoaded ? 'Loaded' : 'Available'
+        className: `ext-status ${statusClass}`,
+        textContent: statusLabel
       }),
-      createElement('div', { className: 'ext-actions' }, [actionBtn])
-    ]);
+      createElement('div', { className: 'ext-actions' }, [reloadToggle, packBtn, actionBtn])
+    ]),
+    renderDiagnostics(ext)
+  ]);
+
+  return item;
+}
+
+/**
+ * Render manifest diagnostics for an extension
+ * Errors are listed in full; warnings collapse into a single line
+ */
+function renderDiagnostics(ext) {
+  const diagnostics = ext.diagnostics || [];
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  const warnings = diagnostics.filter(d => d.severity !== 'error');
+
+  if (errors.length === 0 && warnings.length === 0) {
+    return null;
+  }
 
-    extensionsList.appendChild(item);
+  const list = createElement('ul', { className: 'ext-diagnostics' });
+
+  for (const diagnostic of errors) {
+    list.appendChild(createElement('li', {
+      className: 'diagnostic error',
+      title: diagnostic.field,
+      textContent: diagnostic.message
+    }));
+  }
+
+  if (warnings.length > 0) {
+    list.appendChild(createElement('li', {
+      className: 'diagnostic warning',
+      title: warnings.map(w => w.message).join('\n'),
+      textContent: warnings.length === 1
+        ? warnings[0].message
+        : `${warnings.length} warnings (hover for details)`
+    }));
   }
+
+  return list;
+}
+
+/**
+ * Render the last auto-reload outcome for an extension
+ */
+function renderReloadInfo(ext) {
+  const reload = lastReloads[ext.path];
+  if (!ext.autoReload || !reload) {
+    return null;
+  }
+
+  const time = new Date(reload.reloadedAt).toLocaleTimeString();
+  if (reload.success) {
+    return createElement('div', {
+      className: 'ext-reload',
+      textContent: `Reloaded at ${time} (${reload.duration} ms)`
+    });
+  }
+
+  return createElement('div', {
+    className: 'ext-reload error',
+    title: reload.error,
+    textContent: `Reload failed at ${time}: ${reload.error}`
+  });
+}
+
+/**
+ * Render where an extension was last packed to
+ */
+function renderPackInfo(ext) {
+  const pack = lastPacks[ext.path];
+  if (!pack) {
+    return null;
+  }
+
+  if (pack.success) {
+    return createElement('div', {
+      className: 'ext-pack',
+      title: `${pack.file}\nSHA-256: ${pack.sha256}`,
+      textContent: `Packed ${getFolderName(pack.file)} (${formatSize(pack.size)})`
+    });
+  }
+
+  return createElement('div', {
+    className: 'ext-pack error',
+    title: pack.error,
+    textContent: `Pack failed: ${pack.error}`
+  });
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Render why an extension's loader process ended, with its last output
+ */
+function renderCrashInfo(ext, crash) {
+  if (!crash) {
+    return null;
+  }
+
+  const reason = crash.error ||
+    (crash.signal ? `killed by ${crash.signal}` : `exited with code ${crash.code}`);
+  const time = new Date(crash.exitedAt).toLocaleTimeString();
+
+  return createElement('div', {
+    className: 'ext-crash',
+    title: crash.lastLines.join('\n') || reason,
+    textContent: `Stopped at ${time}: ${reason}`
+  });
+}
+
+/**
+ * Render the progress of the running (or last) load all / unload all
+ */
+function renderBatch() {
+  if (!batch) {
+    batchSection.style.display = 'none';
+    return;
+  }
+
+  const done = batch.items.filter(item => !['queued', 'loading', 'unloading'].includes(item.status)).length;
+  const verb = batch.action === 'load_all' ? 'Loading' : 'Unloading';
+  batchTitle.textContent = batch.finished
+    ? (batch.cancelled ? `${verb} cancelled` : `${verb} finished`)
+    : `${verb} ${done} of ${batch.items.length}...`;
+
+  batchList.textContent = '';
+  for (const item of batch.items) {
+    batchList.appendChild(createElement('div', { className: 'batch-item', title: item.error || item.path }, [
+      createElement('span', { className: 'batch-item-name', textContent: item.name }),
+      createElement('span', {
+        className: `batch-item-status ${item.status}`,
+        textContent: item.duration !== undefined ? `${item.status} ${(item.duration / 1000).toFixed(1)}s` : item.status
+      })
+    ]));
+  }
+
+  batchSummary.textContent = batch.summary || '';
+  batchSummary.style.display = batch.summary ? 'block' : 'none';
+
+  cancelBatchBtn.textContent = batch.finished ? 'Close' : 'Cancel';
+  cancelBatchBtn.disabled = false;
+  batchSection.style.display = 'block';
+}
+
+/**
+ * Render the build progress or last build failure for an extension
+ */
+function renderBuildInfo(ext) {
+  const build = builds[ext.path];
+  if (!ext.build || !build) {
+    return null;
+  }
+
+  if (build.state === 'running') {
+    return createElement('div', {
+      className: 'ext-build',
+      title: build.command,
+      textContent: build.lastLine || `Running ${build.command}`
+    });
+  }
+
+  if (build.state === 'failed') {
+    return createElement('div', {
+      className: 'ext-build error',
+      title: (build.output || []).join('\n') || build.error,
+      textContent: `Build failed: ${build.error}`
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Fetch workspaces and fill the switcher
+ */
+async function loadWorkspaces() {
+  const response = await runAction({ action: 'list_workspaces' });
+  if (!response) return;
+
+  if (response.error) {
+    showActionError(response.error);
+  }
+
+  const workspaces = response.workspaces || [];
+  activeWorkspace = response.active || '';
+
+  while (workspaceSelect.options.length > 1) {
+    workspaceSelect.remove(1);
+  }
+
+  for (const workspace of workspaces) {
+    const option = createElement('option', {
+      value: workspace.name,
+      title: workspace.description,
+      textContent: `${workspace.name} (${workspace.extensions.length})`
+    });
+    workspaceSelect.appendChild(option);
+  }
+
+  workspaceSelect.value = activeWorkspace;
+  workspaceSection.style.display = workspaces.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Handle workspace switcher change
+ */
+async function handleWorkspaceChange() {
+  const name = workspaceSelect.value;
+  const previous = activeWorkspace;
+
+  workspaceSelect.disabled = true;
+
+  const response = name
+    ? await runAction({ action: 'load_workspace', name })
+    : await runAction({ action: 'unload_workspace', name: previous });
+
+  workspaceSelect.disabled = false;
+
+  if (!response) {
+    workspaceSelect.value = previous;
+    return;
+  }
+
+  activeWorkspace = name;
+  const failed = (response.loaded || []).filter(r => !r.success);
+  if (failed.length > 0) {
+    showActionError(`${failed.length} failed: ` + failed.map(r => `${r.name} (${r.error})`).join(', '));
+  }
+  checkStatus();
 }
 
 /**
@@ -258,15 +685,52 @@ function getExtensionIcon(ext) {
 /**
  * Handle extension load/unload action
  */
-function handleExtensionAction(event) {
-  const action = event.target.dataset.action;
-  const path = event.target.dataset.path;
-
-  browser.runtime.sendMessage({ action, path });
+async function handleExtensionAction(event) {
+  const button = event.target;
+  const action = button.dataset.action;
+  const path = button.dataset.path;
 
   // Show loading state
-  event.target.disabled = true;
-  event.target.textContent = action === 'load' ? 'Loading...' : 'Unloading...';
+  button.disabled = true;
+  button.textContent = action === 'load' ? 'Loading...' : 'Unloading...';
+
+  const response = await runAction({ action, path });
+  if (!response) {
+    // Put the button back; successful replies re-render via checkStatus
+    button.disabled = false;
+    button.textContent = action === 'load' ? 'Load' : 'Unload';
+  }
+}
+
+/**
+ * Handle pack button
+ */
+async function handlePack(event) {
+  const button = event.currentTarget;
+
+  button.disabled = true;
+  button.textContent = 'Packing...';
+
+  // The outcome shows under the extension via pack_updated
+  await runAction({ action: 'pack', path: button.dataset.path });
+
+  button.disabled = false;
+  button.textContent = 'Pack';
+}
+
+/**
+ * Handle auto-reload toggle
+ */
+async function handleAutoReloadToggle(event) {
+  const button = event.currentTarget;
+  const path = button.dataset.path;
+  const enabled = !button.classList.contains('active');
+
+  button.disabled = true;
+  const response = await runAction({ action: 'set_auto_reload', path, enabled });
+  if (!response) {
+    button.disabled = false;
+  }
 }
 
 /**
@@ -274,31 +738,53 @@ function handleExtensionAction(event) {
  */
 function setupEventListeners() {
   // Load all button
-  loadAllBtn.addEventListener('click', () => {
-    browser.runtime.sendMessage({ action: 'load_all' });
+  loadAllBtn.addEventListener('click', async () => {
     loadAllBtn.disabled = true;
     setButtonLoading(loadAllBtn, true);
+
+    // Progress and the summary show in the batch panel
+    await runAction({ action: 'load_all' });
+
+    setButtonLoading(loadAllBtn, false);
+    checkStatus();
   });
 
   // Unload all button
-  unloadAllBtn.addEventListener('click', () => {
-    browser.runtime.sendMessage({ action: 'unload_all' });
+  unloadAllBtn.addEventListener('click', async () => {
+    unloadAllBtn.disabled = true;
+    await runAction({ action: 'unload_all' });
+    checkStatus();
+  });
+
+  // Cancel a running batch, or close the summary of a finished one
+  cancelBatchBtn.addEventListener('click', async () => {
+    if (batch && batch.finished) {
+      await runAction({ action: 'clear_batch' });
+      return;
+    }
+
+    cancelBatchBtn.disabled = true;
+    cancelBatchBtn.textContent = 'Cancelling...';
+    await runAction({ action: 'cancel_batch' });
   });
 
+  // Workspace switcher
+  workspaceSelect.addEventListener('change', handleWorkspaceChange);
+
   // Scan folder button
-  scanFolderBtn.addEventListener('click', () => {
+  scanFolderBtn.addEventListener('click', async () => {
     statusDot.className = 'status-dot loading';
     statusText.textContent = 'Scanning...';
-    browser.runtime.sendMessage({ action: 'scan' });
+    await runAction({ action: 'scan' });
+    updateStatusUI();
   });
 
   // Retry connect button
-  retryConnectBtn.addEventListener('click', () => {
+  retryConnectBtn.addEventListener('click', async () => {
     statusDot.className = 'status-dot loading';
     statusText.textContent = 'Connecting...';
-    browser.runtime.sendMessage({ action: 'connect' });
-
-    setTimeout(checkStatus, 1000);
+    await runAction({ action: 'connect' });
+    checkStatus();
   });
 
   // Open setup link
@@ -318,6 +804,12 @@ function setupEventListeners() {
     browser.tabs.create({ url: 'about:debugging#/runtime/this-firefox' });
   });
 
+  // Open log viewer
+  openLogsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    browser.tabs.create({ url: browser.runtime.getURL('logs/logs.html') });
+  });
+
   // Open options page link
   openOptionsPageLink.addEventListener('click', (e) => {
     e.preventDefault();
@@ -330,15 +822,55 @@ function setupEventListeners() {
       case 'extensions_updated':
         extensions = message.extensions || [];
         renderExtensions();
-        statusDot.className = 'status-dot connected';
-        statusText.textContent = 'Connected';
+        break;
+
+      case 'connection_state':
+        const wasConnected = isConnected;
+        connection = message;
+        isConnected = message.state === 'connected' || message.state === 'degraded';
+        updateStatusUI();
+        if (isConnected && !wasConnected) {
+          checkStatus();
+        }
+        break;
+
+      case 'reload_result':
+        lastReloads[message.path] = {
+          success: message.success,
+          error: message.error,
+          duration: message.duration,
+          reloadedAt: message.reloadedAt
+        };
+        renderExtensions();
+        break;
+
+      case 'extension_exited':
+      case 'extension_restarted':
+        browser.storage.local.get('crashes').then(data => {
+          crashes = data.crashes || {};
+          checkStatus();
+        });
+        break;
+
+      case 'batch_updated':
+        batch = message.batch;
+        renderBatch();
+        updateStatusUI();
+        break;
+
+      case 'pack_updated':
+        lastPacks[message.path] = message.pack;
+        renderExtensions();
+        break;
+
+      case 'build_updated':
+        builds[message.path] = message.build;
+        renderExtensions();
         break;
 
       case 'load_result':
       case 'unload_result':
         checkStatus();
-        loadAllBtn.disabled = false;
-        setButtonLoading(loadAllBtn, false);
         break;
     }
   });
@@ -0,0 +1,172 @@
+/**
+ * Rapunzel - Audit Log
+ *
+ * A lasting record of what the helper did on this machine: loads, unloads,
+ * builds, folder changes and refused requests. Entries are JSON lines in
+ * ~/.rapunzel/audit.log:
+ *
+ *   { time, action, path, result, caller, ...details }
+ *
+ * `result` is "success", "failed" or "rejected"; `caller` is who asked:
+ * "browser", "control" (a control socket client), "cli" (the command-line
+ * tool without a running helper), "watcher" (auto-reload), "restart" or
+ * "file" (config.json edited outside the helper).
+ *
+ * When the file grows past maxBytes it is moved to audit.log.1 (the older
+ * ones to .2, .3, ...), keeping maxFiles old files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_MAX_FILES = 3;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Fields a search looks at
+const SEARCH_FIELDS = ['action', 'path', 'name', 'result', 'caller', 'error', 'code'];
+
+class AuditLog {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+  }
+
+  /**
+   * Append an entry; the log never stops the action it records
+   */
+  record(entry) {
+    let line = JSON.stringify({ time: Date.now(), ...entry }) + '\n';
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      if (this.size() + Buffer.byteLength(line) > this.maxBytes) {
+        this.rotate();
+      } else if (!this.endsWithNewline()) {
+        // A line cut off by a crash stays broken, but on its own
+        line = '\n' + line;
+      }
+      fs.appendFileSync(this.file, line, { mode: 0o600 });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Size of the current file, 0 if there is none yet
+   */
+  size() {
+    try {
+      return fs.statSync(this.file).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Check whether the current file is empty or ends with a full line
+   */
+  endsWithNewline() {
+    const size = this.size();
+    if (size === 0) return true;
+
+    const fd = fs.openSync(this.file, 'r');
+    try {
+      const last = Buffer.alloc(1);
+      fs.readSync(fd, last, 0, 1, size - 1);
+      return last[0] === 0x0A;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Move the current file to .1, shifting older ones and dropping the oldest
+   */
+  rotate() {
+    const oldest = `${this.file}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.file}.${i}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.file}.${i + 1}`);
+      }
+    }
+    if (fs.existsSync(this.file)) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    }
+  }
+
+  /**
+   * Read every entry, newest first
+   * Lines that are not valid JSON (e.g. cut off by a crash) are skipped.
+   */
+  readAll() {
+    const entries = [];
+    const files = [this.file];
+    for (let i = 1; i <= this.maxFiles; i++) {
+      files.push(`${this.file}.${i}`);
+    }
+
+    for (const file of files) {
+      let content;
+      try {
+        content = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      const lines = content.split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i].trim()) continue;
+        try {
+          entries.push(JSON.parse(lines[i]));
+        } catch (error) {
+          // Skip the broken line
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Get a page of entries, newest first
+   * options.query: words that must all appear in an entry (any case)
+   * options.offset, options.limit: which page
+   * Returns { entries, total, offset, limit }
+   */
+  read(options = {}) {
+    const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+    const limit = Math.min(Math.max(1, parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const words = String(options.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    let entries = this.readAll();
+    if (words.length > 0) {
+      entries = entries.filter(entry => {
+        const text = SEARCH_FIELDS
+          .map(field => entry[field])
+          .filter(value => value !== undefined && value !== null)
+          .join(' ')
+          .toLowerCase();
+        return words.every(word => text.includes(word));
+      });
+    }
+
+    return {
+      entries: entries.slice(offset, offset + limit),
+      total: entries.length,
+      offset,
+      limit
+    };
+  }
+}
+
+module.exports = {
+  AuditLog
+};
@@ -0,0 +1,179 @@
+/**
+ * Rapunzel - Batch Scheduler
+ *
+ * Runs the loads of a batch (load all, restore) a few at a time while
+ * keeping their order where it matters:
+ *
+ *   - an item starts only after every item it depends on has succeeded;
+ *     if one of them failed, it fails too
+ *   - an item starts only after every item of higher priority has finished;
+ *     an item something depends on is as urgent as the most urgent item
+ *     that depends on it, so a dependency is never held back by its
+ *     dependents
+ *
+ * Items are { id, name, priority, dependsOn: [ids], error? }. An item with
+ * an `error` is not run; it counts as failed straight away.
+ */
+
+/**
+ * Find the items that are part of a dependency cycle
+ * Returns a map of item ID to a readable description of its cycle
+ */
+function findCycles(items, byId) {
+  const cycles = new Map();
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (item) => {
+    state.set(item.id, 'visiting');
+    stack.push(item);
+
+    for (const depId of item.dependsOn) {
+      const dep = byId.get(depId);
+      if (!dep) continue;
+
+      if (state.get(depId) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(dep));
+        const description = cycle.concat(dep).map(i => i.name).join(' -> ');
+        for (const member of cycle) {
+          cycles.set(member.id, description);
+        }
+      } else if (!state.has(depId)) {
+        visit(dep);
+      }
+    }
+
+    stack.pop();
+    state.set(item.id, 'done');
+  };
+
+  for (const item of items) {
+    if (!state.has(item.id)) {
+      visit(item);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Get the priority each item effectively has: its own, or that of the most
+ * urgent item depending on it (directly or not), whichever is higher
+ */
+function effectivePriorities(items, byId) {
+  const priorities = new Map(items.map(item => [item.id, item.priority]));
+
+  // Each pass carries priorities one dependency further
+  for (let pass = 0; pass < items.length; pass++) {
+    let changed = false;
+    for (const item of items) {
+      for (const depId of item.dependsOn) {
+        if (byId.has(depId) && priorities.get(depId) < priorities.get(item.id)) {
+          priorities.set(depId, priorities.get(item.id));
+          changed = true;
+        }
+      }
+    }
+    if (!changed) break;
+  }
+  return priorities;
+}
+
+/**
+ * Run a batch
+ * options.concurrency: how many items may run at once
+ * options.run(item): starts an item, resolves true if it succeeded
+ * options.skip(item, reason): an item will not run; reason is
+ *   { cancelled: true } or { error }
+ * options.isCancelled(): true once no more items should be started
+ */
+async function runBatch(items, options) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const byId = new Map(items.map(item => [item.id, item]));
+  const cycles = findCycles(items, byId);
+  const priorities = effectivePriorities(items, byId);
+
+  // Higher priority first; equal priorities keep their order
+  const pending = items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (priorities.get(b.item.id) - priorities.get(a.item.id)) || (a.index - b.index))
+    .map(entry => entry.item);
+  const outcome = new Map(); // id -> true (succeeded) | false (failed)
+  const running = new Map(); // id -> promise
+
+  const finish = (item, success) => {
+    outcome.set(item.id, success);
+  };
+
+  const skip = (item, reason) => {
+    finish(item, false);
+    options.skip(item, reason);
+  };
+
+  // An item that cannot run fails at once, which may fail its dependents
+  for (const item of pending.slice()) {
+    if (item.error || cycles.has(item.id)) {
+      pending.splice(pending.indexOf(item), 1);
+      skip(item, { error: item.error || `Dependency cycle: ${cycles.get(item.id)}` });
+    }
+  }
+
+  const isReady = (item) => {
+    const depsDone = item.dependsOn.every(id => !byId.has(id) || outcome.get(id) === true);
+    const higherDone = pending.concat(Array.from(running.keys(), id => byId.get(id))).every(other =>
+      priorities.get(other.id) <= priorities.get(item.id)
+    );
+    return depsDone && higherDone;
+  };
+
+  while (pending.length > 0 || running.size > 0) {
+    if (options.isCancelled && options.isCancelled()) {
+      for (const item of pending.splice(0)) {
+        skip(item, { cancelled: true });
+      }
+    }
+
+    // Fail items whose dependencies failed, and then their dependents
+    let failedAny = true;
+    while (failedAny) {
+      failedAny = false;
+      for (const item of pending.slice()) {
+        const failedDep = item.dependsOn.find(id => outcome.get(id) === false);
+        if (failedDep !== undefined) {
+          pending.splice(pending.indexOf(item), 1);
+          skip(item, { error: `Dependency ${byId.get(failedDep).name} did not load` });
+          failedAny = true;
+        }
+      }
+    }
+
+    for (const item of pending.slice()) {
+      if (running.size >= concurrency) break;
+      if (!isReady(item)) continue;
+
+      pending.splice(pending.indexOf(item), 1);
+      const task = Promise.resolve()
+        .then(() => options.run(item))
+        .then(success => !!success, () => false)
+        .then(success => {
+          running.delete(item.id);
+          finish(item, success);
+        });
+      running.set(item.id, task);
+    }
+
+    if (running.size === 0) {
+      // Nothing can start and nothing will finish: should not happen once
+      // cycles are removed, but never wait forever
+      for (const item of pending.splice(0)) {
+        skip(item, { error: 'Could not be scheduled' });
+      }
+      break;
+    }
+
+    await Promise.race(running.values());
+  }
+}
+
+module.exports = {
+  runBatch
+};
@@ -0,0 +1,259 @@
+/**
+ * Rapunzel - Helper Configuration
+ *
+ * ~/.rapunzel/config.json holds the helper's own settings. Its shape is
+ * defined once, here: DEFAULT_CONFIG has every key with its default, and
+ * `version` tells which shape a file was written in. Files written by an
+ * older Rapunzel are brought up to date by MIGRATIONS as they are read.
+ *
+ * Problems are reported like per-extension settings, as diagnostics:
+ *
+ *   { severity: 'error' | 'warning', code, field, message }
+ *
+ * A key with an invalid value keeps its default, so one typo does not stop
+ * the helper; the value itself is handed back so a save can keep it for
+ * the user to fix. Writes go to a temporary file that is renamed over the
+ * config, and the config it replaces is kept as config.json.bak. A config
+ * written by a newer Rapunzel is never overwritten, as that would drop the
+ * keys this version does not know.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_VERSION = 2;
+
+const MAX_LOAD_CONCURRENCY = 16;
+
+const DEFAULT_CONFIG = {
+  version: CONFIG_VERSION,
+  extensionFolder: '',
+  extensionRoots: [],
+  scanDepth: 3,
+  watchEnabled: false,
+  // Read by the browser: load the last session again when Firefox starts
+  autoLoadOnStartup: false,
+  autoReloadPaths: [],
+  workspacesFile: '',
+  activeWorkspace: '',
+  loadConcurrency: 4,
+  packOutputDir: '',
+  packIgnore: [],
+  firefoxPath: '',
+  // Where Firefox's debugger server listens (--start-debugger-server)
+  debuggerHost: '127.0.0.1',
+  debuggerPort: 6000
+};
+
+/**
+ * A config that cannot be written
+ */
+class ConfigError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code;
+  }
+}
+
+/**
+ * Get the type name of a value, as used in messages
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+const isAbsoluteOrEmpty = value => value === '' || path.isAbsolute(value);
+const isWholeNumber = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+
+// Extra checks on top of the type of the default; each returns a message
+// for a bad value, or nothing
+const CHECKS = {
+  extensionFolder: value => !isAbsoluteOrEmpty(value) && 'must be an absolute path',
+  extensionRoots: value => {
+    const bad = value.findIndex(root => !root || typeof root.path !== 'string' || !path.isAbsolute(root.path) ||
+      (root.depth !== undefined && !isWholeNumber(1, 100)(root.depth)));
+    return bad !== -1 && `[${bad}] must be { "path": "<absolute path>", "depth": <number> }`;
+  },
+  scanDepth: value => !isWholeNumber(1, 100)(value) && 'must be a whole number from 1 to 100',
+  autoReloadPaths: value => value.some(p => typeof p !== 'string') && 'must only hold paths',
+  loadConcurrency: value => !isWholeNumber(1, MAX_LOAD_CONCURRENCY)(value) &&
+    `must be a whole number from 1 to ${MAX_LOAD_CONCURRENCY}`,
+  packOutputDir: value => !isAbsoluteOrEmpty(value) && 'must be an absolute path',
+  packIgnore: value => value.some(p => typeof p !== 'string' || !p.trim()) && 'must only hold file name or path patterns',
+  debuggerHost: value => !value && 'must not be empty',
+  debuggerPort: value => !isWholeNumber(1, 65535)(value) && 'must be a port number'
+};
+
+// MIGRATIONS[n] turns a version n config into version n + 1
+const MIGRATIONS = {
+  // Before versions: install.js wrote an `autoStart` key nothing read, and
+  // roots could be plain path strings
+  1: (data) => {
+    const { autoStart, ...rest } = data;
+    if (Array.isArray(rest.extensionRoots)) {
+      rest.extensionRoots = rest.extensionRoots.map(root => typeof root === 'string' ? { path: root } : root);
+    }
+    return rest;
+  }
+};
+
+/**
+ * Get a fresh copy of the defaults
+ */
+function createDefaultConfig() {
+  return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+}
+
+/**
+ * Bring raw config data up to the current version and check every key
+ * Returns { config, diagnostics, migratedFrom, invalid }, where invalid
+ * holds the values of unknown and invalid keys as they were found
+ */
+function validateConfig(data) {
+  const config = createDefaultConfig();
+  const diagnostics = [];
+  const invalid = {};
+  const add = (severity, code, field, message) => {
+    diagnostics.push({ severity, code, field, message });
+  };
+
+  if (typeOf(data) !== 'object') {
+    add('error', 'invalid_config', '', 'config.json must contain a JSON object');
+    return { config, diagnostics, migratedFrom: null, invalid };
+  }
+
+  // Files from before the version field are version 1
+  let version = data.version === undefined ? 1 : data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    add('error', 'invalid_setting', 'version', 'version must be a whole number');
+    version = CONFIG_VERSION;
+  } else if (version > CONFIG_VERSION) {
+    add('warning', 'newer_version', 'version',
+      `config.json is version ${version}, written by a newer Rapunzel; this one knows version ${CONFIG_VERSION}`);
+  }
+  const migratedFrom = version < CONFIG_VERSION ? version : null;
+
+  let migrated = data;
+  for (let v = version; v < CONFIG_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+
+  for (const [key, value] of Object.entries(migrated)) {
+    if (key === 'version') continue;
+
+    if (!(key in DEFAULT_CONFIG)) {
+      add('warning', 'unknown_setting', key, `Unknown setting "${key}" in config.json`);
+      invalid[key] = value;
+      continue;
+    }
+    if (typeOf(value) !== typeOf(DEFAULT_CONFIG[key])) {
+      add('error', 'invalid_setting', key, `${key} must be a ${typeOf(DEFAULT_CONFIG[key])}`);
+      invalid[key] = value;
+      continue;
+    }
+
+    const problem = CHECKS[key] && CHECKS[key](value);
+    if (problem) {
+      add('error', 'invalid_setting', key, `${key} ${problem}`);
+      invalid[key] = value;
+      continue;
+    }
+    config[key] = value;
+  }
+
+  return { config, diagnostics, migratedFrom, invalid };
+}
+
+/**
+ * Read a JSON file, returns { data } or { error } (or {} if it is missing)
+ */
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Read, migrate and check the config
+ * A config that is not valid JSON is replaced by the backup, if there is
+ * one. Returns { config, diagnostics, migratedFrom, invalid, restored }
+ */
+function readConfig(file) {
+  const current = readJson(file);
+  if (!current.error) {
+    if (current.data === undefined) {
+      return { config: createDefaultConfig(), diagnostics: [], migratedFrom: null, invalid: {}, restored: false };
+    }
+    return { ...validateConfig(current.data), restored: false };
+  }
+
+  const invalidJson = {
+    severity: 'error',
+    code: 'invalid_json',
+    field: '',
+    message: `config.json is not valid JSON: ${current.error}`
+  };
+
+  const backup = readJson(`${file}.bak`);
+  if (backup.data === undefined) {
+    return { config: createDefaultConfig(), diagnostics: [invalidJson], migratedFrom: null, invalid: {}, restored: false };
+  }
+
+  const result = validateConfig(backup.data);
+  return {
+    ...result,
+    diagnostics: [invalidJson, {
+      severity: 'warning',
+      code: 'restored_backup',
+      field: '',
+      message: 'Using the last good config from config.json.bak'
+    }, ...result.diagnostics],
+    restored: true
+  };
+}
+
+/**
+ * Write the config atomically, keeping the one it replaces as a backup
+ * Throws a ConfigError with code "newer_version" if the file on disk was
+ * written by a newer Rapunzel. Returns the text written.
+ */
+function writeConfig(file, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const current = readJson(file);
+  const version = current.data && current.data.version;
+  if (Number.isInteger(version) && version > CONFIG_VERSION) {
+    throw new ConfigError('newer_version',
+      `config.json is version ${version}, written by a newer Rapunzel; changes are not saved to it`);
+  }
+
+  // A config that is not valid JSON would make a useless backup; keep the
+  // older one instead
+  if (current.data !== undefined) {
+    fs.copyFileSync(file, `${file}.bak`);
+  }
+
+  const content = JSON.stringify({ ...config, version: CONFIG_VERSION }, null, 2);
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+  return content;
+}
+
+module.exports = {
+  readConfig,
+  writeConfig,
+  validateConfig,
+  createDefaultConfig,
+  ConfigError,
+  CONFIG_VERSION,
+  MAX_LOAD_CONCURRENCY
+};
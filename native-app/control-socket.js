@@ -0,0 +1,351 @@
+/**
+ * Rapunzel - Local Control Socket
+ *
+ * The helper started by Firefox also listens on a per-user socket, so the
+ * `rapunzel` command-line tool, editor tasks and git hooks can drive it
+ * while the browser is connected. It accepts the same JSON actions as
+ * native messaging, one message per line in each direction.
+ *
+ * A client first proves it may talk to the helper with the token the
+ * helper wrote to ~/.rapunzel/control-token (readable by the user only):
+ *
+ *   -> {"action":"authenticate","token":"..."}
+ *   <- {"type":"authenticated"}
+ *   -> {"action":"reload","path":"/home/me/ext","requestId":1}
+ *   <- {"type":"reload_result","success":true,...,"requestId":1}
+ *
+ * Authenticated clients also get every event the helper sends the browser
+ * (build output, batch progress, ...); those have no requestId.
+ *
+ * Only one helper listens at a time; the others leave the socket alone
+ * (native-host.js tries again until it is free).
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TOKEN_FILE = path.join(os.homedir(), '.rapunzel', 'control-token');
+
+// Lines longer than this are refused, so a bad client cannot fill memory
+const MAX_LINE_BYTES = 4 * 1024 * 1024;
+
+// A client that has not authenticated by then is disconnected
+const AUTH_TIMEOUT = 5000;
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Get the socket path: a Unix socket in ~/.rapunzel, or a named pipe on
+ * Windows
+ */
+function getSocketPath() {
+  if (os.platform() === 'win32') {
+    return `\\\\.\\pipe\\rapunzel-${os.userInfo().username}`;
+  }
+  return path.join(os.homedir(), '.rapunzel', 'helper.sock');
+}
+
+/**
+ * Split a stream into JSON messages, one per line
+ * onMessage(message) gets each parsed message, onError(error) bad lines
+ */
+function readLines(socket, onMessage, onError) {
+  let buffered = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffered += chunk;
+    if (buffered.length > MAX_LINE_BYTES && !buffered.includes('\n')) {
+      onError(new Error('Message too large'));
+      socket.destroy();
+      return;
+    }
+
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        onError(new Error(`Invalid JSON: ${error.message}`));
+        continue;
+      }
+      onMessage(message);
+    }
+  });
+}
+
+/**
+ * Check whether something is listening on a socket path
+ */
+function isListening(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection(socketPath);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Compare a token from a client with ours without leaking, through timing,
+ * how much of it matched
+ */
+function isValidToken(given, expected) {
+  if (typeof given !== 'string') return false;
+
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Helper side of the control socket
+ * handler(message, client) is called for every message from an
+ * authenticated client; client.send(message) answers it.
+ */
+class ControlServer {
+  constructor(handler, options = {}) {
+    this.handler = handler;
+    this.socketPath = options.socketPath || getSocketPath();
+    this.tokenFile = options.tokenFile || TOKEN_FILE;
+    this.token = null;
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  /**
+   * Start listening, with a new token
+   * Resolves false if another helper is listening already.
+   */
+  async listen() {
+    const server = net.createServer(socket => this.accept(socket));
+
+    const listen = () => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.socketPath, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    if (os.platform() !== 'win32') {
+      fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+    }
+
+    try {
+      await listen();
+    } catch (error) {
+      if (error.code !== 'EADDRINUSE') throw error;
+      if (await isListening(this.socketPath)) return false;
+
+      // Left behind by a helper that did not exit cleanly
+      fs.unlinkSync(this.socketPath);
+      await listen();
+    }
+
+    if (os.platform() !== 'win32') {
+      fs.chmodSync(this.socketPath, 0o600);
+    }
+
+    // A new token for every helper, so an old one stops working
+    this.token = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(this.tokenFile), { recursive: true });
+    fs.writeFileSync(this.tokenFile, this.token, { mode: 0o600 });
+    fs.chmodSync(this.tokenFile, 0o600);
+
+    // Do not keep the helper alive just for the socket
+    server.unref();
+    this.server = server;
+    return true;
+  }
+
+  /**
+   * Set up a new client connection
+   */
+  accept(socket) {
+    const client = {
+      authenticated: false,
+      send: (message) => {
+        if (!socket.destroyed && socket.writable) {
+          socket.write(JSON.stringify(message) + '\n');
+        }
+      },
+      close: () => socket.end()
+    };
+
+    const authTimer = setTimeout(() => {
+      client.send({ type: 'error', error: 'Not authenticated' });
+      socket.destroy();
+    }, AUTH_TIMEOUT);
+    authTimer.unref();
+
+    socket.on('error', () => {
+      // Client went away; 'close' cleans up
+    });
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      this.clients.delete(client);
+    });
+
+    readLines(socket, (message) => {
+      if (client.authenticated) {
+        this.handler(message, client);
+        return;
+      }
+
+      if (message.action !== 'authenticate' || !isValidToken(message.token, this.token)) {
+        client.send({ type: 'error', error: 'Not authenticated', requestId: message.requestId });
+        socket.end();
+        return;
+      }
+
+      clearTimeout(authTimer);
+      client.authenticated = true;
+      this.clients.add(client);
+      client.send({ type: 'authenticated', requestId: message.requestId });
+    }, (error) => {
+      client.send({ type: 'error', error: error.message });
+    });
+  }
+
+  /**
+   * Send a message to every authenticated client
+   */
+  broadcast(message) {
+    for (const client of this.clients) {
+      client.send(message);
+    }
+  }
+
+  /**
+   * Stop listening and disconnect every client
+   */
+  close() {
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+
+    // Only remove the token if it is still ours
+    try {
+      if (fs.readFileSync(this.tokenFile, 'utf8') === this.token) {
+        fs.unlinkSync(this.tokenFile);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Client side of the control socket, used by the command-line tool
+ * Emits 'event' (message) for helper messages that are not replies
+ */
+class ControlClient extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+
+    readLines(socket, (message) => {
+      const request = this.pending.get(message.requestId);
+      if (!request) {
+        if (message.requestId === undefined) {
+          this.emit('event', message);
+        }
+        return;
+      }
+
+      this.pending.delete(message.requestId);
+      clearTimeout(request.timer);
+      request.resolve(message);
+    }, () => {});
+
+    socket.on('close', () => {
+      for (const request of this.pending.values()) {
+        clearTimeout(request.timer);
+        request.reject(new Error('The helper closed the connection'));
+      }
+      this.pending.clear();
+    });
+  }
+
+  /**
+   * Connect to the running helper and authenticate
+   * Rejects with code ENOENT or ECONNREFUSED when no helper is listening
+   */
+  static async connect(options = {}) {
+    const socketPath = options.socketPath || getSocketPath();
+    const tokenFile = options.tokenFile || TOKEN_FILE;
+
+    const socket = await new Promise((resolve, reject) => {
+      const connection = net.createConnection(socketPath);
+      connection.once('connect', () => {
+        connection.removeListener('error', reject);
+        connection.on('error', () => {
+          // Reported through 'close'
+        });
+        resolve(connection);
+      });
+      connection.once('error', reject);
+    });
+
+    const client = new ControlClient(socket);
+    try {
+      const token = fs.readFileSync(tokenFile, 'utf8').trim();
+      const reply = await client.request({ action: 'authenticate', token });
+      if (reply.type !== 'authenticated') {
+        throw new Error(reply.error || 'Not authenticated');
+      }
+    } catch (error) {
+      client.close();
+      throw new Error(`Cannot authenticate with the helper: ${error.message}`);
+    }
+    return client;
+  }
+
+  /**
+   * Send an action and wait for its reply
+   */
+  request(message, timeout = DEFAULT_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextRequestId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error(`No reply to ${message.action} within ${Math.round(timeout / 1000)}s`));
+      }, timeout);
+
+      this.pending.set(requestId, { resolve, reject, timer });
+      this.socket.write(JSON.stringify({ ...message, requestId }) + '\n');
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.socket.end();
+  }
+}
+
+module.exports = {
+  getSocketPath,
+  ControlServer,
+  ControlClient
+};
@@ -0,0 +1,213 @@
+/**
+ * Rapunzel - Per-Extension Settings
+ *
+ * Extensions can ship their own Rapunzel defaults in a `.rapunzel.json`
+ * next to their manifest.json. The older "rapunzel" key in package.json is
+ * still read for the build step; `.rapunzel.json` wins where both set a key.
+ *
+ * Problems are reported as manifest-style diagnostics:
+ *
+ *   { severity: 'error' | 'warning', code, field, message }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SETTINGS_FILE_NAME = '.rapunzel.json';
+
+// Settings every extension has, before any file is read
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  priority: 0,
+  startUrls: [],
+  prefs: {},
+  firefoxPath: '',
+  build: '',
+  outputDir: '',
+  sourceDir: '',
+  restart: 'never',
+  maxRestarts: 5,
+  dependsOn: [],
+  packIgnore: []
+};
+
+// Expected type of each setting, used for validation
+const SETTING_TYPES = {
+  enabled: 'boolean',
+  priority: 'number',
+  startUrls: 'array',
+  prefs: 'object',
+  firefoxPath: 'string',
+  build: 'string',
+  outputDir: 'string',
+  sourceDir: 'string',
+  restart: 'string',
+  maxRestarts: 'number',
+  dependsOn: 'array',
+  packIgnore: 'array'
+};
+
+// When a crashed or exited web-ext process is started again
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+/**
+ * Get the type name used in SETTING_TYPES for a value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Get a fresh copy of a setting's default
+ */
+function defaultSetting(key) {
+  return JSON.parse(JSON.stringify(DEFAULT_SETTINGS[key]));
+}
+
+/**
+ * Read a JSON file, returns { data } or { error } (or {} if it is missing)
+ */
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Copy the known, well-typed keys of a settings object into target
+ */
+function mergeSettings(target, source, sourceName, add) {
+  if (!source || typeOf(source) !== 'object') {
+    add('error', 'invalid_settings', '', `${sourceName} must contain a JSON object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(source)) {
+    if (!(key in SETTING_TYPES)) {
+      add('warning', 'unknown_setting', key, `Unknown setting "${key}" in ${sourceName}`);
+      continue;
+    }
+    if (typeOf(value) !== SETTING_TYPES[key]) {
+      add('error', 'invalid_setting', key, `${key} in ${sourceName} must be a ${SETTING_TYPES[key]}`);
+      continue;
+    }
+    target[key] = value;
+  }
+}
+
+/**
+ * Check settings that point into the extension folder or at other files
+ */
+function checkSettings(settings, extensionPath, add) {
+  settings.startUrls.forEach((url, index) => {
+    if (typeof url !== 'string' || !/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+      add('error', 'invalid_setting', `startUrls[${index}]`, `startUrls[${index}] must be an absolute URL`);
+    }
+  });
+
+  for (const [name, value] of Object.entries(settings.prefs)) {
+    if (!['boolean', 'number', 'string'].includes(typeof value)) {
+      add('error', 'invalid_setting', `prefs.${name}`, `Pref ${name} must be a boolean, number or string`);
+    }
+  }
+
+  if (settings.firefoxPath && !fs.existsSync(settings.firefoxPath)) {
+    add('warning', 'missing_file', 'firefoxPath', `firefoxPath points at missing file: ${settings.firefoxPath}`);
+  }
+
+  for (const key of ['outputDir', 'sourceDir']) {
+    const dir = settings[key];
+    if (!dir) continue;
+
+    const relative = path.relative(extensionPath, path.resolve(extensionPath, dir));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      add('error', 'invalid_setting', key, `${key} must stay inside the extension folder`);
+    }
+  }
+
+  if (!RESTART_POLICIES.includes(settings.restart)) {
+    add('error', 'invalid_setting', 'restart', `restart must be one of: ${RESTART_POLICIES.join(', ')}`);
+  }
+  if (!Number.isInteger(settings.maxRestarts) || settings.maxRestarts < 0) {
+    add('error', 'invalid_setting', 'maxRestarts', 'maxRestarts must be a whole number of 0 or more');
+  }
+
+  settings.dependsOn.forEach((dep, index) => {
+    if (typeof dep !== 'string' || !dep) {
+      add('error', 'invalid_setting', `dependsOn[${index}]`, `dependsOn[${index}] must be a path to an extension folder`);
+    } else if (!fs.existsSync(path.join(path.resolve(extensionPath, dep), 'manifest.json'))) {
+      add('warning', 'missing_file', `dependsOn[${index}]`, `dependsOn[${index}] ${dep} is not an extension folder`);
+    }
+  });
+
+  settings.packIgnore.forEach((pattern, index) => {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      add('error', 'invalid_setting', `packIgnore[${index}]`, `packIgnore[${index}] must be a file name or path pattern`);
+    }
+  });
+
+  if (settings.outputDir && !settings.build) {
+    add('warning', 'invalid_setting', 'outputDir', 'outputDir has no effect without a build command');
+  }
+
+  if (settings.sourceDir && !settings.build &&
+      !fs.existsSync(path.join(extensionPath, settings.sourceDir, 'manifest.json'))) {
+    add('error', 'missing_file', 'sourceDir', `sourceDir ${settings.sourceDir} has no manifest.json`);
+  }
+}
+
+/**
+ * Read and merge the settings of one extension
+ * Returns { settings, diagnostics, sources }
+ */
+function readExtensionSettings(extensionPath) {
+  const settings = { ...DEFAULT_SETTINGS, startUrls: [], prefs: {}, dependsOn: [], packIgnore: [] };
+  const diagnostics = [];
+  const sources = [];
+
+  const add = (severity, code, field, message) => {
+    diagnostics.push({ severity, code, field, message });
+  };
+
+  const packageJson = readJson(path.join(extensionPath, 'package.json'));
+  if (packageJson.data && packageJson.data.rapunzel !== undefined) {
+    mergeSettings(settings, packageJson.data.rapunzel, 'package.json "rapunzel"', add);
+    sources.push('package.json');
+  }
+
+  const settingsFile = readJson(path.join(extensionPath, SETTINGS_FILE_NAME));
+  if (settingsFile.error) {
+    add('error', 'invalid_json', '', `${SETTINGS_FILE_NAME} is not valid JSON: ${settingsFile.error}`);
+  } else if (settingsFile.data !== undefined) {
+    mergeSettings(settings, settingsFile.data, SETTINGS_FILE_NAME, add);
+    sources.push(SETTINGS_FILE_NAME);
+  }
+
+  // A setting with an error is reported but never used: it keeps its
+  // default (a mistyped one is never merged in the first place)
+  const invalidKeys = new Set();
+  checkSettings(settings, extensionPath, (severity, code, field, message) => {
+    if (severity === 'error') {
+      invalidKeys.add(field.split(/[.[]/)[0]);
+    }
+    add(severity, code, field, message);
+  });
+  for (const key of invalidKeys) {
+    settings[key] = defaultSetting(key);
+  }
+
+  return { settings, diagnostics, sources };
+}
+
+module.exports = {
+  readExtensionSettings,
+  DEFAULT_SETTINGS,
+  SETTINGS_FILE_NAME
+};
@@ -6,13 +6,14 @@
  * This script:
  * 1. Installs the native messaging manifest for Firefox
  * 2. Creates a batch file wrapper for the native host
- * 3. Optionally sets up auto-start
+ * 3. Creates the default configuration in ~/.rapunzel
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
+const { readConfig, writeConfig, createDefaultConfig } = require('./config-store');
 
 const APP_NAME = 'com.rapunzel.helper';
 const EXTENSION_ID = 'rapunzel@airtimestudio.com';
@@ -130,13 +131,11 @@ function install() {
     fs.mkdirSync(CONFIG_DIR, { recursive: true });
   }
 
-  // Create default config if not exists
+  // Create default config if not exists; an existing one is migrated by
+  // the native host when it next starts
   const configPath = path.join(CONFIG_DIR, 'config.json');
   if (!fs.existsSync(configPath)) {
-    fs.writeFileSync(configPath, JSON.stringify({
-      extensionFolder: '',
-      autoStart: false
-    }, null, 2));
+    writeConfig(configPath, createDefaultConfig());
   }
 
   console.log('');
@@ -248,8 +247,12 @@ function status() {
   // Check config
   const configPath = path.join(CONFIG_DIR, 'config.json');
   if (fs.existsSync(configPath)) {
-    console.log('[OK] Configuration file exists');
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const { config, diagnostics } = readConfig(configPath);
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    console.log(errors.length === 0 ? '[OK] Configuration file exists' : '[!!] Configuration file has problems');
+    for (const diagnostic of diagnostics) {
+      console.log(`     ${diagnostic.severity === 'error' ? 'Error' : 'Warning'}: ${diagnostic.message}`);
+    }
     if (config.extensionFolder) {
       console.log(`     Extensions folder: ${config.extensionFolder}`);
       if (fs.existsSync(config.extensionFolder)) {
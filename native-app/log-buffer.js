@@ -0,0 +1,162 @@
+/**
+ * Rapunzel - Extension Log Buffer
+ *
+ * Keeps the most recent log lines of every extension in memory, as a ring
+ * buffer per extension path. Each line is:
+ *
+ *   { seq, time, path, stream, text }
+ *
+ * `seq` increases across all extensions, so a reader can ask for
+ * everything newer than the last line it saw.
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const DEFAULT_LIMIT = 1000;
+
+// How often followed files are checked for new content
+const FILE_POLL_MS = 500;
+
+// Lines longer than this are cut, so one runaway line cannot fill memory
+const MAX_LINE_LENGTH = 8192;
+
+/**
+ * Ring buffers of log lines, keyed by extension path
+ * Emits 'lines' (lines) whenever lines are appended
+ */
+class LogBuffer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.limit = options.limit || DEFAULT_LIMIT;
+    this.buffers = new Map();
+    this.seq = 0;
+  }
+
+  /**
+   * Append one or more lines of text to an extension's log
+   */
+  append(extensionPath, stream, text) {
+    const lines = String(text).split(/\r?\n/).map(line => ({
+      seq: ++this.seq,
+      time: Date.now(),
+      path: extensionPath,
+      stream,
+      text: line.length > MAX_LINE_LENGTH ? line.slice(0, MAX_LINE_LENGTH) + '…' : line
+    }));
+
+    let buffer = this.buffers.get(extensionPath);
+    if (!buffer) {
+      buffer = [];
+      this.buffers.set(extensionPath, buffer);
+    }
+    buffer.push(...lines);
+    if (buffer.length > this.limit) {
+      buffer.splice(0, buffer.length - this.limit);
+    }
+
+    this.emit('lines', lines);
+    return lines;
+  }
+
+  /**
+   * Follow a file that another process writes to, appending its new lines
+   * options.maxBacklog: bytes of existing content to read first (default all)
+   * Returns a function that reads what is left and stops following
+   */
+  attachFile(extensionPath, stream, file, options = {}) {
+    let position = 0;
+    let partial = '';
+
+    try {
+      const size = fs.statSync(file).size;
+      if (options.maxBacklog !== undefined && size > options.maxBacklog) {
+        position = size - options.maxBacklog;
+      }
+    } catch (error) {
+      // Not created yet; start from the beginning once it is
+    }
+
+    const readNew = () => {
+      let fd;
+      try {
+        fd = fs.openSync(file, 'r');
+        const size = fs.fstatSync(fd).size;
+        if (size < position) {
+          position = 0;
+        }
+        if (size === position) return;
+
+        const chunk = Buffer.alloc(size - position);
+        fs.readSync(fd, chunk, 0, chunk.length, position);
+        position = size;
+
+        const lines = (partial + chunk.toString('utf8')).split(/\r?\n/);
+        partial = lines.pop();
+        if (lines.length > 0) {
+          this.append(extensionPath, stream, lines.join('\n'));
+        }
+      } catch (error) {
+        // File gone or unreadable; try again on the next change
+      } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+      }
+    };
+
+    readNew();
+    fs.watchFile(file, { interval: FILE_POLL_MS }, readNew);
+
+    return () => {
+      fs.unwatchFile(file, readNew);
+      readNew();
+      if (partial) {
+        this.append(extensionPath, stream, partial);
+        partial = '';
+      }
+    };
+  }
+
+  /**
+   * Get buffered lines, oldest first
+   * options: { path, since (seq), limit }
+   */
+  get(options = {}) {
+    const buffers = options.path
+      ? [this.buffers.get(options.path) || []]
+      : Array.from(this.buffers.values());
+
+    let lines = [].concat(...buffers);
+    if (options.since) {
+      lines = lines.filter(line => line.seq > options.since);
+    }
+    if (buffers.length > 1) {
+      lines.sort((a, b) => a.seq - b.seq);
+    }
+    if (options.limit && lines.length > options.limit) {
+      lines = lines.slice(-options.limit);
+    }
+    return lines;
+  }
+
+  /**
+   * Paths that have at least one buffered line
+   */
+  paths() {
+    return Array.from(this.buffers.keys());
+  }
+
+  /**
+   * Forget the lines of one extension, or of all of them
+   */
+  clear(extensionPath) {
+    if (extensionPath) {
+      this.buffers.delete(extensionPath);
+    } else {
+      this.buffers.clear();
+    }
+  }
+}
+
+module.exports = {
+  LogBuffer
+};
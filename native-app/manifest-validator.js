@@ -0,0 +1,260 @@
+/**
+ * Rapunzel - Manifest Validator
+ *
+ * Checks a parsed manifest.json for the problems that make Firefox refuse
+ * (or half-load) a temporary add-on, and returns them as diagnostics:
+ *
+ *   { severity: 'error' | 'warning', code, field, message }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Schemes Firefox accepts in match patterns
+const MATCH_SCHEMES = ['*', 'http', 'https', 'ws', 'wss', 'ftp', 'data', 'file'];
+
+// Permission entries that are host patterns rather than API names
+const HOST_PATTERN_HINT = /^(<all_urls>|[a-z*-]+:\/\/)/;
+
+/**
+ * Check a single match pattern, returns an error string or null
+ */
+function checkMatchPattern(pattern) {
+  if (pattern === '<all_urls>') {
+    return null;
+  }
+
+  const match = /^([^:]+):\/\/([^/]*)(\/.*)?$/.exec(pattern);
+  if (!match) {
+    return 'must look like <scheme>://<host><path>';
+  }
+
+  const [, scheme, host, pathPart] = match;
+
+  if (!MATCH_SCHEMES.includes(scheme)) {
+    return `unsupported scheme "${scheme}"`;
+  }
+  if (!pathPart) {
+    return 'missing path (add at least "/")';
+  }
+  if (scheme === 'file' || scheme === 'data') {
+    return null;
+  }
+  if (!host) {
+    return 'missing host';
+  }
+  if (host !== '*' && host.includes('*') && !/^\*\.[^*]+$/.test(host)) {
+    return `"*" is only allowed as the whole host or a leading "*." (got "${host}")`;
+  }
+  if (host.includes(':') && !/:\d+$/.test(host)) {
+    return `invalid port in host "${host}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Create a diagnostics collector for one manifest
+ */
+function createCollector(extensionPath) {
+  const diagnostics = [];
+
+  const add = (severity, code, field, message) => {
+    diagnostics.push({ severity, code, field, message });
+  };
+
+  const checkFile = (severity, field, file) => {
+    if (typeof file !== 'string' || !file) {
+      add('error', 'invalid_value', field, `${field} must be a file path`);
+      return;
+    }
+    if (/^[a-z]+:/i.test(file)) {
+      // Remote or data URLs are not files in the package
+      return;
+    }
+    const filePath = path.join(extensionPath, file.replace(/^\//, ''));
+    if (!fs.existsSync(filePath)) {
+      add(severity, 'missing_file', field, `${field} points at missing file: ${file}`);
+    }
+  };
+
+  const checkPatterns = (field, patterns) => {
+    if (!Array.isArray(patterns)) {
+      add('error', 'invalid_value', field, `${field} must be an array of match patterns`);
+      return;
+    }
+    patterns.forEach((pattern, index) => {
+      const problem = typeof pattern === 'string'
+        ? checkMatchPattern(pattern)
+        : 'must be a string';
+      if (problem) {
+        add('error', 'invalid_match_pattern', `${field}[${index}]`, `Invalid match pattern "${pattern}": ${problem}`);
+      }
+    });
+  };
+
+  return { diagnostics, add, checkFile, checkPatterns };
+}
+
+/**
+ * Validate a parsed manifest against the files in its extension folder
+ */
+function validateManifest(manifest, extensionPath) {
+  const { diagnostics, add, checkFile, checkPatterns } = createCollector(extensionPath);
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    add('error', 'invalid_manifest', '', 'manifest.json must contain a JSON object');
+    return diagnostics;
+  }
+
+  // Required keys
+  const manifestVersion = manifest.manifest_version;
+  if (manifestVersion === undefined) {
+    add('error', 'missing_key', 'manifest_version', 'Missing required key: manifest_version');
+  } else if (manifestVersion !== 2 && manifestVersion !== 3) {
+    add('error', 'invalid_value', 'manifest_version', `Unsupported manifest_version: ${manifestVersion}`);
+  }
+
+  for (const key of ['name', 'version']) {
+    if (typeof manifest[key] !== 'string' || !manifest[key].trim()) {
+      add('error', 'missing_key', key, `Missing required key: ${key}`);
+    }
+  }
+
+  if (typeof manifest.version === 'string' && !/^\d+(\.\d+){0,3}([a-z]+\d*)?$/i.test(manifest.version)) {
+    add('warning', 'invalid_value', 'version', `Version "${manifest.version}" is not a valid Firefox version string`);
+  }
+
+  // Background
+  const background = manifest.background;
+  if (background) {
+    if (Array.isArray(background.scripts)) {
+      background.scripts.forEach((file, index) => checkFile('error', `background.scripts[${index}]`, file));
+    }
+    if (background.page) {
+      checkFile('error', 'background.page', background.page);
+    }
+    if (background.service_worker) {
+      if (manifestVersion === 2) {
+        add('error', 'invalid_value', 'background.service_worker', 'background.service_worker requires manifest_version 3');
+      }
+      checkFile('error', 'background.service_worker', background.service_worker);
+      if (!background.scripts) {
+        add('warning', 'unsupported', 'background.service_worker',
+          'Firefox does not run background service workers; add background.scripts as well');
+      }
+    }
+  }
+
+  // Icons
+  if (manifest.icons && typeof manifest.icons === 'object') {
+    for (const [size, file] of Object.entries(manifest.icons)) {
+      checkFile('warning', `icons.${size}`, file);
+    }
+  }
+
+  // Toolbar and page actions
+  const actionKeys = manifestVersion === 3
+    ? ['action', 'page_action']
+    : ['browser_action', 'page_action'];
+
+  if (manifestVersion === 3 && manifest.browser_action) {
+    add('error', 'invalid_key', 'browser_action', 'browser_action was renamed to action in manifest_version 3');
+  }
+  if (manifestVersion === 2 && manifest.action) {
+    add('error', 'invalid_key', 'action', 'action requires manifest_version 3 (use browser_action)');
+  }
+
+  for (const key of actionKeys) {
+    const action = manifest[key];
+    if (!action) continue;
+
+    if (action.default_popup) {
+      checkFile('error', `${key}.default_popup`, action.default_popup);
+    }
+    if (typeof action.default_icon === 'string') {
+      checkFile('warning', `${key}.default_icon`, action.default_icon);
+    } else if (action.default_icon && typeof action.default_icon === 'object') {
+      for (const [size, file] of Object.entries(action.default_icon)) {
+        checkFile('warning', `${key}.default_icon.${size}`, file);
+      }
+    }
+  }
+
+  // Content scripts
+  if (manifest.content_scripts !== undefined) {
+    if (!Array.isArray(manifest.content_scripts)) {
+      add('error', 'invalid_value', 'content_scripts', 'content_scripts must be an array');
+    } else {
+      manifest.content_scripts.forEach((script, index) => {
+        const field = `content_scripts[${index}]`;
+        if (!script || typeof script !== 'object') {
+          add('error', 'invalid_value', field, `${field} must be an object`);
+          return;
+        }
+        if (!script.matches) {
+          add('error', 'missing_key', `${field}.matches`, `Missing required key: ${field}.matches`);
+        } else {
+          checkPatterns(`${field}.matches`, script.matches);
+        }
+        if (script.exclude_matches) {
+          checkPatterns(`${field}.exclude_matches`, script.exclude_matches);
+        }
+        for (const type of ['js', 'css']) {
+          if (script[type] === undefined) continue;
+          if (!Array.isArray(script[type])) {
+            add('error', 'invalid_value', `${field}.${type}`, `${field}.${type} must be an array`);
+            continue;
+          }
+          script[type].forEach((file, fileIndex) => {
+            checkFile('error', `${field}.${type}[${fileIndex}]`, file);
+          });
+        }
+      });
+    }
+  }
+
+  // Host permissions
+  if (manifestVersion === 3 && manifest.host_permissions) {
+    checkPatterns('host_permissions', manifest.host_permissions);
+  }
+  for (const key of ['permissions', 'optional_permissions']) {
+    if (!Array.isArray(manifest[key])) continue;
+
+    manifest[key].forEach((permission, index) => {
+      if (typeof permission !== 'string' || !HOST_PATTERN_HINT.test(permission)) return;
+
+      if (manifestVersion === 3) {
+        add('warning', 'invalid_key', `${key}[${index}]`,
+          `Host pattern "${permission}" belongs in host_permissions in manifest_version 3`);
+      }
+      const problem = checkMatchPattern(permission);
+      if (problem) {
+        add('error', 'invalid_match_pattern', `${key}[${index}]`, `Invalid match pattern "${permission}": ${problem}`);
+      }
+    });
+  }
+
+  // Add-on ID
+  const settings = manifest.browser_specific_settings || manifest.applications;
+  if (!settings || !settings.gecko || !settings.gecko.id) {
+    add('warning', 'missing_gecko_id', 'browser_specific_settings.gecko.id',
+      'No browser_specific_settings.gecko.id: Firefox assigns a random ID on every load, ' +
+      'so storage and permissions do not survive a reload');
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Check whether any diagnostic is an error
+ */
+function hasErrors(diagnostics) {
+  return diagnostics.some(d => d.severity === 'error');
+}
+
+module.exports = {
+  validateManifest,
+  checkMatchPattern,
+  hasErrors
+};
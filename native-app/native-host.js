@@ -11,73 +11,255 @@ const fs = require('fs');
 const path = require('path');
 const { spawn, exec } = require('child_process');
 const os = require('os');
-const http = require('http');
+const { RDPClient } = require('./rdp-client');
+const { validateManifest, hasErrors } = require('./manifest-validator');
+const { readExtensionSettings } = require('./extension-settings');
+const { LogBuffer } = require('./log-buffer');
+const { ProcessRegistry, isProcessAlive, killProcess } = require('./process-registry');
+const { runBatch } = require('./batch-scheduler');
+const { packFolder } = require('./xpi-packer');
+const { ControlServer } = require('./control-socket');
+const { PathError, isInside, resolveInsideRoots, resolveFolder } = require('./path-guard');
+const { AuditLog } = require('./audit-log');
+const {
+  readConfig,
+  writeConfig,
+  validateConfig,
+  createDefaultConfig,
+  CONFIG_VERSION,
+  MAX_LOAD_CONCURRENCY
+} = require('./config-store');
 
 // Configuration
 const CONFIG_FILE = path.join(os.homedir(), '.rapunzel', 'config.json');
+const WORKSPACES_FILE_NAME = 'rapunzel-workspaces.json';
+const REGISTRY_FILE = path.join(os.homedir(), '.rapunzel', 'processes.json');
+const LOADER_LOG_DIR = path.join(os.homedir(), '.rapunzel', 'loaders');
+const DEFAULT_PACK_DIR = path.join(os.homedir(), '.rapunzel', 'packages');
+const AUDIT_FILE = path.join(os.homedir(), '.rapunzel', 'audit.log');
 const VERSION = '1.0.0';
 
-// Firefox remote debugging settings
-const REMOTE_DEBUG_PORT = 9222;
+// Largest message accepted from the browser, and the largest reply
+// Firefox accepts from a native host
+const MAX_INPUT_SIZE = 4 * 1024 * 1024;
+const MAX_OUTPUT_SIZE = 1024 * 1024;
+
+// Characters of serialized JSON carried by each continuation message
+const CONTINUATION_CHUNK_CHARS = 256 * 1024;
+
+// Delay before rescanning after a burst of file system events
+const WATCH_DEBOUNCE_MS = 300;
+
+// Delay before reloading an extension after its source files change
+const RELOAD_DEBOUNCE_MS = 500;
+
+// Folders that are never scanned or watched, and files that never
+// trigger an auto-reload
+const IGNORED_DIRS = ['.git', 'node_modules'];
+const RELOAD_IGNORE_FILES = /(^\.#|~$|\.swp$|\.swx$|\.tmp$)/;
+
+// Builds taking longer than this are killed
+const BUILD_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Build output lines kept for the build_result summary
+const BUILD_OUTPUT_TAIL = 20;
+
+// Auto-reload ignores changes this long after a build, for watch events
+// about the build's own writes that arrive once it has finished
+const BUILD_SETTLE_MS = 300;
+
+// Restarting crashed web-ext processes: the delay doubles on every attempt,
+// and a process that stayed up this long starts counting from zero again
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 30000;
+const RESTART_STABLE_MS = 60000;
+
+// Trying again for the control socket while another helper has it, such as
+// the one Firefox stops when it reconnects; the delay doubles every time
+const CONTROL_RETRY_BASE_MS = 1000;
+const CONTROL_RETRY_MAX_MS = 30000;
+
+// Log lines sent along with extension_exited
+const EXIT_LOG_LINES = 20;
+
+// Adopted loaders are not our children, so their exit is noticed by polling
+const PROCESS_POLL_MS = 2000;
+
+// Output of an adopted loader read back from its log file
+const ADOPTED_LOG_BACKLOG = 64 * 1024;
+
+// Actions whose `path` must be an extension inside the extension roots
+const PATH_ACTIONS = new Set(['load', 'reload', 'unload', 'set_auto_reload', 'pack']);
+
+// Settings the browser keeps a copy of; the helper's config.json is the
+// original, and changes to these are pushed as config_changed
+const SHARED_SETTINGS = ['extensionFolder', 'autoLoadOnStartup', 'watchEnabled'];
+
+// Actions whose outcome goes into the audit log
+const AUDITED_ACTIONS = new Set([
+  'load', 'reload', 'unload', 'load_all', 'unload_all', 'restore',
+  'load_workspace', 'unload_workspace', 'set_folder', 'set_roots',
+  'watch_folder', 'set_settings', 'pack', 'set_pack_output_dir', 'kill_stale_loaders'
+]);
+
+// Replies to control socket clients that are not passed on to the browser:
+// it has no use for them, and an error there would be shown to the user
+const CONTROL_PRIVATE_REPLIES = new Set(['status', 'pong', 'logs', 'loaders_list', 'audit', 'error']);
+
+// Log lines kept per extension, and how often new lines are pushed to
+// the browser while it is subscribed
+const LOG_BUFFER_LINES = 1000;
+const LOG_PUSH_INTERVAL_MS = 250;
 
 // State
-let config = {
-  extensionFolder: '',
-  firefoxPath: '',
-  watchEnabled: false
-};
+let config = createDefaultConfig();
+let configDiagnostics = [];
+// Unknown and invalid keys from config.json as the user wrote them; saves
+// keep them until they are fixed
+let configInvalid = {};
+let sharedSettingsSent = null;
+let configWatcher = null;
+// What saveConfig() last wrote, so reloadConfig() can tell our own saves
+// from edits
+let configWritten = null;
 let loadedExtensions = new Map();
-let firefoxProcess = null;
+let rdpClient = null;
+let rdpConnecting = null;
+let folderWatcher = null;
+let nextContinuationId = 1;
+const extensionLogs = new LogBuffer({ limit: LOG_BUFFER_LINES });
+let logPush = null;
+const restartStates = new Map();
+// Extension path -> { running, endedAt } for builds, see isBuilding()
+const buildStates = new Map();
+const registry = new ProcessRegistry(REGISTRY_FILE);
+const auditLog = new AuditLog(AUDIT_FILE);
+let nextLoaderId = 1;
+
+// Messages read but not fully handled yet, and the chain that handles
+// them one at a time, in order
+let pendingMessages = 0;
+let handling = Promise.resolve();
+
+// Local socket for the command-line tool, editors and scripts (null while
+// another helper has it)
+let controlServer = null;
+let controlRetryTimer = null;
+let controlStopped = false;
+
+// When set, messages for the browser go here instead of stdout
+let messageHandler = null;
+
+// The load_all or unload_all in progress, so it can be cancelled
+let activeBatch = null;
+let nextBatchId = 1;
 
 /**
- * Read native messaging input (length-prefixed JSON)
+ * Create an incremental reader for length-prefixed JSON frames
+ * Any number of frames may arrive in one chunk, or one frame across many.
+ * next() resolves with the next message, null at end of input, or rejects
+ * for a frame that is oversized or not valid JSON.
  */
-function readMessage() {
-  return new Promise((resolve, reject) => {
-    let lengthBuffer = Buffer.alloc(4);
-    let bytesRead = 0;
+function createMessageReader(stream) {
+  const entries = [];
+  const waiters = [];
+  let chunks = [];
+  let buffered = 0;
+  let skipBytes = 0;
+
+  const push = (entry) => {
+    const waiter = waiters.shift();
+    if (waiter) {
+      settleEntry(waiter, entry);
+    } else {
+      entries.push(entry);
+    }
+  };
 
-    process.stdin.on('readable', function onReadable() {
-      // Read 4-byte length prefix
-      if (bytesRead < 4) {
-        const chunk = process.stdin.read(4 - bytesRead);
-        if (chunk) {
-          chunk.copy(lengthBuffer, bytesRead);
-          bytesRead += chunk.length;
-        }
+  const settleEntry = (waiter, entry) => {
+    if (entry.error) {
+      waiter.reject(entry.error);
+    } else {
+      waiter.resolve(entry.message);
+    }
+  };
+
+  // Join buffered chunks only once enough bytes are available
+  const take = (length) => {
+    const joined = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+    const taken = joined.subarray(0, length);
+    const rest = joined.subarray(length);
+    chunks = rest.length > 0 ? [rest] : [];
+    buffered = rest.length;
+    return taken;
+  };
+
+  const drain = () => {
+    while (true) {
+      if (skipBytes > 0) {
+        const dropped = Math.min(skipBytes, buffered);
+        take(dropped);
+        skipBytes -= dropped;
+        if (skipBytes > 0) return;
+        continue;
+      }
+
+      if (buffered < 4) return;
+
+      // The header may be split over chunks; the body is left alone
+      if (chunks[0].length < 4) {
+        chunks = [Buffer.concat(chunks, buffered)];
+      }
+      const messageLength = chunks[0].readUInt32LE(0);
+
+      if (messageLength > MAX_INPUT_SIZE) {
+        // Discard the frame body as it streams in rather than buffering it
+        take(4);
+        skipBytes = messageLength;
+        push({
+          error: new Error(`Message of ${messageLength} bytes exceeds the ${MAX_INPUT_SIZE} byte limit`)
+        });
+        continue;
       }
 
-      if (bytesRead === 4) {
-        const messageLength = lengthBuffer.readUInt32LE(0);
+      if (buffered < 4 + messageLength) return;
 
-        if (messageLength > 0 && messageLength < 1024 * 1024) { // Max 1MB
-          const messageBuffer = process.stdin.read(messageLength);
+      const body = take(4 + messageLength).toString('utf8', 4);
 
-          if (messageBuffer && messageBuffer.length === messageLength) {
-            try {
-              const message = JSON.parse(messageBuffer.toString('utf8'));
-              process.stdin.removeListener('readable', onReadable);
-              resolve(message);
-            } catch (e) {
-              reject(new Error('Invalid JSON: ' + e.message));
-            }
-          }
-        }
+      try {
+        push({ message: JSON.parse(body) });
+      } catch (e) {
+        push({ error: new Error('Invalid JSON: ' + e.message) });
       }
-    });
+    }
+  };
 
-    process.stdin.on('end', () => {
-      resolve(null);
-    });
+  stream.on('data', (chunk) => {
+    chunks.push(chunk);
+    buffered += chunk.length;
+    drain();
   });
+
+  stream.on('end', () => push({ message: null }));
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        const entry = entries.shift();
+        if (entry) {
+          settleEntry({ resolve, reject }, entry);
+        } else {
+          waiters.push({ resolve, reject });
+        }
+      });
+    }
+  };
 }
 
 /**
- * Send native messaging output (length-prefixed JSON)
+ * Write one length-prefixed frame to stdout
  */
-function sendMessage(message) {
-  const messageStr = JSON.stringify(message);
-  const messageBuffer = Buffer.from(messageStr, 'utf8');
+function writeFrame(messageBuffer) {
   const lengthBuffer = Buffer.alloc(4);
   lengthBuffer.writeUInt32LE(messageBuffer.length, 0);
 
@@ -86,18 +268,82 @@ function sendMessage(message) {
 }
 
 /**
- * Load configuration
+ * Send an event to the browser and to every control socket client
+ */
+function sendMessage(message) {
+  sendToBrowser(message);
+  if (controlServer) {
+    controlServer.broadcast(message);
+  }
+}
+
+/**
+ * Send native messaging output (length-prefixed JSON)
+ * Replies over Firefox's 1 MB limit are split into continuation messages
+ * that the background script joins back together
+ */
+function sendToBrowser(message) {
+  if (messageHandler) {
+    messageHandler(message);
+    return;
+  }
+
+  const messageStr = JSON.stringify(message);
+  const messageBuffer = Buffer.from(messageStr, 'utf8');
+
+  if (messageBuffer.length <= MAX_OUTPUT_SIZE) {
+    writeFrame(messageBuffer);
+    return;
+  }
+
+  const messageId = `${process.pid}-${nextContinuationId++}`;
+  const parts = [];
+  let offset = 0;
+
+  while (offset < messageStr.length) {
+    // Escaping can grow a slice, so shrink it until its frame fits
+    let size = CONTINUATION_CHUNK_CHARS;
+    let data = messageStr.slice(offset, offset + size);
+    while (Buffer.byteLength(JSON.stringify(data), 'utf8') > MAX_OUTPUT_SIZE - 1024) {
+      size = Math.floor(size / 2);
+      data = messageStr.slice(offset, offset + size);
+    }
+
+    parts.push(data);
+    offset += data.length;
+  }
+
+  parts.forEach((data, index) => {
+    writeFrame(Buffer.from(JSON.stringify({
+      type: 'continuation',
+      messageId,
+      index,
+      total: parts.length,
+      data
+    }), 'utf8'));
+  });
+}
+
+/**
+ * Load configuration, migrated to the current version and checked
+ * Problems are kept in configDiagnostics and reported with the status.
  */
 function loadConfig() {
   try {
-    const configDir = path.dirname(CONFIG_FILE);
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
+    const result = readConfig(CONFIG_FILE);
+    config = result.config;
+    configDiagnostics = result.diagnostics;
+    configInvalid = result.invalid;
+    sharedSettingsSent = getSharedSettings();
+    for (const diagnostic of configDiagnostics) {
+      logError(`Config ${diagnostic.severity}:`, diagnostic.message);
     }
 
-    if (fs.existsSync(CONFIG_FILE)) {
-      const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      config = { ...config, ...JSON.parse(data) };
+    // Store an older file in the current shape, but not one with errors:
+    // those are fixed in the file as the user wrote it
+    if (result.migratedFrom && !hasErrors(configDiagnostics)) {
+      logError(`Migrated config from version ${result.migratedFrom} to ${CONFIG_VERSION}`);
+      saveConfig();
     }
   } catch (error) {
     logError('Failed to load config:', error);
@@ -106,16 +352,153 @@ function loadConfig() {
 
 /**
  * Save configuration
+ * Unknown and invalid values are written back as they were, with their
+ * problems still reported, until the user fixes them; a setting changed
+ * here since replaces its invalid value.
+ * A config from a newer Rapunzel is left alone; changes then last until
+ * the helper stops, and the config's problems say so.
  */
 function saveConfig() {
+  const diagnosticsBefore = JSON.stringify(configDiagnostics);
+  const defaults = createDefaultConfig();
+  for (const key of Object.keys(configInvalid)) {
+    if (key in defaults && JSON.stringify(config[key]) !== JSON.stringify(defaults[key])) {
+      delete configInvalid[key];
+    }
+  }
+
   try {
-    const configDir = path.dirname(CONFIG_FILE);
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
+    configWritten = writeConfig(CONFIG_FILE, { ...config, ...configInvalid });
+    configDiagnostics = configDiagnostics.filter(d => d.code === 'newer_version' || d.field in configInvalid);
+  } catch (error) {
+    logError('Failed to save config:', error.message);
+    if (error.code === 'newer_version') {
+      configDiagnostics = configDiagnostics
+        .filter(d => d.code !== 'not_saved')
+        .concat({ severity: 'error', code: 'not_saved', field: 'version', message: error.message });
     }
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+  }
+  notifyConfigChanged('helper', JSON.stringify(configDiagnostics) !== diagnosticsBefore);
+}
+
+/**
+ * Get the settings the browser keeps a copy of
+ */
+function getSharedSettings() {
+  const settings = {};
+  for (const key of SHARED_SETTINGS) {
+    settings[key] = config[key];
+  }
+  return settings;
+}
+
+/**
+ * Push shared settings to the browser and control socket clients when
+ * they or the config's problems changed; after an edit on disk always
+ */
+function notifyConfigChanged(source, diagnosticsChanged = false) {
+  const settings = getSharedSettings();
+  const previous = sharedSettingsSent || settings;
+  const changed = SHARED_SETTINGS.filter(key => JSON.stringify(settings[key]) !== JSON.stringify(previous[key]));
+  sharedSettingsSent = settings;
+
+  if (changed.length === 0 && !diagnosticsChanged && source !== 'file') return;
+  sendMessage({
+    type: 'config_changed',
+    source,
+    settings,
+    changed,
+    configDiagnostics
+  });
+}
+
+/**
+ * Watch config.json for edits by hand or by another helper (such as the
+ * command-line tool), so they take effect and reach the browser
+ */
+function watchConfigFile() {
+  const configDir = path.dirname(CONFIG_FILE);
+  let timer = null;
+
+  try {
+    fs.mkdirSync(configDir, { recursive: true });
+    // The file is replaced on every save, so its folder is watched
+    configWatcher = fs.watch(configDir, (eventType, filename) => {
+      if (filename !== path.basename(CONFIG_FILE)) return;
+      clearTimeout(timer);
+      timer = setTimeout(reloadConfig, WATCH_DEBOUNCE_MS);
+    });
+    configWatcher.on('error', (error) => logError('Config watch error:', error.message));
+    configWatcher.on('close', () => clearTimeout(timer));
+  } catch (error) {
+    logError('Cannot watch the config file:', error.message);
+  }
+}
+
+/**
+ * Stop watching config.json
+ */
+function unwatchConfigFile() {
+  if (configWatcher) {
+    configWatcher.close();
+    configWatcher = null;
+  }
+}
+
+/**
+ * Read config.json again after it changed on disk
+ * A file that is not valid JSON, e.g. half way through an edit, leaves the
+ * settings in use alone.
+ */
+function reloadConfig() {
+  // Saves by this helper come back here as well
+  try {
+    if (fs.readFileSync(CONFIG_FILE, 'utf8') === configWritten) return;
   } catch (error) {
-    logError('Failed to save config:', error);
+    // Missing or unreadable; readConfig() reports what it can
+  }
+
+  const result = readConfig(CONFIG_FILE);
+
+  const invalid = result.diagnostics.find(d => d.code === 'invalid_json');
+  if (invalid) {
+    logError('Config file changed but is not valid JSON:', invalid.message);
+    configDiagnostics = [invalid];
+    notifyConfigChanged('file');
+    return;
+  }
+
+  // Nothing to do, e.g. only formatting changed
+  if (JSON.stringify(result.config) === JSON.stringify(config) &&
+      JSON.stringify(result.diagnostics) === JSON.stringify(configDiagnostics)) {
+    return;
+  }
+
+  const previous = config;
+  config = result.config;
+  configDiagnostics = result.diagnostics;
+  configInvalid = result.invalid;
+  logError('Config file changed on disk');
+
+  const changed = Object.keys(config).filter(key => JSON.stringify(config[key]) !== JSON.stringify(previous[key]));
+  audit('edit_config', CONFIG_FILE, 'file', { success: true, changed });
+
+  const rootsChanged = ['extensionFolder', 'extensionRoots', 'scanDepth'].some(key => changed.includes(key));
+  if (config.watchEnabled && (rootsChanged || !previous.watchEnabled)) {
+    startWatching();
+  } else if (!config.watchEnabled) {
+    stopWatching();
+  }
+
+  notifyConfigChanged('file');
+
+  if (rootsChanged) {
+    sendMessage({
+      type: 'extensions_list',
+      extensions: scanExtensionsFolder(),
+      folder: config.extensionFolder,
+      roots: getExtensionRoots()
+    });
   }
 }
 
@@ -168,231 +551,2273 @@ function getFirefoxPath() {
 }
 
 /**
- * Scan extensions folder for valid extensions
+ * Get every extension root: the main extensions folder plus any extra
+ * roots from config, each as { path, depth }
  */
-function scanExtensionsFolder() {
-  const folder = config.extensionFolder;
+function getExtensionRoots() {
+  const roots = [];
+  const seen = new Set();
+  const defaultDepth = config.scanDepth;
+
+  const entries = [config.extensionFolder, ...(config.extensionRoots || [])];
+  for (const entry of entries) {
+    if (!entry) continue;
+
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    if (!spec.path) continue;
+
+    const rootPath = path.resolve(spec.path);
+    if (seen.has(rootPath)) continue;
+    seen.add(rootPath);
 
-  if (!folder || !fs.existsSync(folder)) {
-    return [];
+    roots.push({ path: rootPath, depth: spec.depth || defaultDepth });
   }
 
-  const extensions = [];
+  return roots;
+}
 
+/**
+ * Build the scan result for one extension folder
+ */
+function describeExtension(extPath, root) {
+  const relativePath = path.relative(root.path, extPath);
+  const extensionSettings = readExtensionSettings(extPath);
+  const base = {
+    path: extPath,
+    folder: relativePath,
+    root: root.path,
+    autoReload: isAutoReloadEnabled(extPath),
+    settings: extensionSettings.settings,
+    settingsSources: extensionSettings.sources,
+    build: getBuildConfig(extPath, extensionSettings.settings)
+  };
+
+  let manifest;
   try {
-    const items = fs.readdirSync(folder, { withFileTypes: true });
+    manifest = JSON.parse(fs.readFileSync(path.join(extPath, 'manifest.json'), 'utf8'));
+  } catch (e) {
+    logError(`Invalid manifest in ${extPath}:`, e.message);
+    return {
+      name: path.basename(extPath),
+      version: '0.0.0',
+      description: '',
+      manifestVersion: null,
+      ...base,
+      valid: false,
+      diagnostics: [{
+        severity: 'error',
+        code: 'invalid_json',
+        field: '',
+        message: `manifest.json is not valid JSON: ${e.message}`
+      }, ...extensionSettings.diagnostics]
+    };
+  }
 
-    for (const item of items) {
-      if (item.isDirectory()) {
-        const extPath = path.join(folder, item.name);
-        const manifestPath = path.join(extPath, 'manifest.json');
-
-        if (fs.existsSync(manifestPath)) {
-          try {
-            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-            extensions.push({
-              name: manifest.name || item.name,
-              version: manifest.version || '0.0.0',
-              description: manifest.description || '',
-              path: extPath,
-              folder: item.name,
-              manifestVersion: manifest.manifest_version || 2
-            });
-          } catch (e) {
-            // Invalid manifest, skip
-            logError(`Invalid manifest in ${extPath}:`, e.message);
-          }
-        }
-      }
-    }
+  // Files referenced by the manifest of a built extension only exist after
+  // the build, so those are not load blockers yet
+  const diagnostics = validateManifest(manifest, extPath).map(d => (
+    base.build && d.code === 'missing_file'
+      ? { ...d, severity: 'warning', message: `${d.message} (expected from build)` }
+      : d
+  )).concat(extensionSettings.diagnostics);
+  return {
+    name: manifest.name || path.basename(extPath),
+    version: manifest.version || '0.0.0',
+    description: manifest.description || '',
+    manifestVersion: manifest.manifest_version || 2,
+    ...base,
+    valid: !hasErrors(diagnostics),
+    diagnostics
+  };
+}
+
+/**
+ * Find extension folders under a root, down to its depth limit
+ * A folder with a manifest.json is an extension and is not searched further.
+ */
+function scanRoot(root, dir = root.path, level = 1, extensions = []) {
+  let items;
+  try {
+    items = fs.readdirSync(dir, { withFileTypes: true });
   } catch (error) {
-    logError('Failed to scan folder:', error);
+    logError(`Failed to scan ${dir}:`, error.message);
+    return extensions;
+  }
+
+  for (const item of items) {
+    if (!item.isDirectory() || IGNORED_DIRS.includes(item.name)) continue;
+
+    const extPath = path.join(dir, item.name);
+    if (fs.existsSync(path.join(extPath, 'manifest.json'))) {
+      extensions.push(describeExtension(extPath, root));
+    } else if (level < root.depth) {
+      scanRoot(root, extPath, level + 1, extensions);
+    }
   }
 
   return extensions;
 }
 
 /**
- * Load extension via Firefox Remote Debugging Protocol
- * This requires Firefox to be started with --remote-debugging-port
- */
-async function loadExtensionViaRDP(extensionPath) {
-  return new Promise((resolve, reject) => {
-    // Use web-ext or Firefox RDP to load the extension
-    // This is a simplified version - in production, would use proper RDP client
-
-    const webExtPath = findWebExt();
-
-    if (webExtPath) {
-      // Use web-ext if available
-      const proc = spawn(webExtPath, [
-        'run',
-        '--source-dir', extensionPath,
-        '--no-reload',
-        '--keep-profile-changes'
-      ], {
-        stdio: 'pipe',
-        detached: true
-      });
+ * Scan every extension root for extensions
+ */
+function scanExtensionsFolder() {
+  const extensions = [];
+  const seen = new Set();
 
-      proc.unref();
-      loadedExtensions.set(extensionPath, { process: proc, method: 'web-ext' });
+  for (const root of getExtensionRoots()) {
+    if (!fs.existsSync(root.path)) continue;
 
-      resolve({ success: true, method: 'web-ext' });
-    } else {
-      // Fallback: Use Firefox command line with temporary profile
-      const firefoxPath = getFirefoxPath();
+    for (const ext of scanRoot(root)) {
+      // Overlapping roots can find the same folder twice
+      if (seen.has(ext.path)) continue;
+      seen.add(ext.path);
+      extensions.push(ext);
+    }
+  }
 
-      if (!firefoxPath) {
-        reject(new Error('Firefox not found'));
-        return;
-      }
+  return extensions;
+}
 
-      // Create a temporary profile and load the extension
-      const tempProfile = path.join(os.tmpdir(), `rapunzel-profile-${Date.now()}`);
-      fs.mkdirSync(tempProfile, { recursive: true });
+/**
+ * Get a cheap change signature for an extension's manifest.json
+ */
+function getManifestSignature(extensionPath) {
+  try {
+    const stats = fs.statSync(path.join(extensionPath, 'manifest.json'));
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch (e) {
+    return null;
+  }
+}
 
-      // Write user.js to enable extension loading
-      const userPrefs = `
-user_pref("extensions.autoDisableScopes", 0);
-user_pref("extensions.enabledScopes", 15);
-user_pref("xpinstall.signatures.required", false);
-user_pref("devtools.chrome.enabled", true);
-user_pref("devtools.debugger.remote-enabled", true);
-`;
-      fs.writeFileSync(path.join(tempProfile, 'user.js'), userPrefs);
+/**
+ * Snapshot the extension roots as a Map of path -> { extension, signature }
+ */
+function takeFolderSnapshot() {
+  const snapshot = new Map();
+  for (const ext of scanExtensionsFolder()) {
+    snapshot.set(ext.path, { extension: ext, signature: getManifestSignature(ext.path) });
+  }
+  return snapshot;
+}
 
-      // Copy extension to extensions folder in profile
-      const extDest = path.join(tempProfile, 'extensions', 'temp-extension');
-      copyDirSync(extensionPath, extDest);
+/**
+ * Rescan the watched folder and push the differences to the extension
+ */
+function diffWatchedFolder() {
+  if (!folderWatcher) return;
+
+  const previous = folderWatcher.snapshot;
+  const current = takeFolderSnapshot();
+
+  for (const [extPath, entry] of current) {
+    const before = previous.get(extPath);
+    if (!before) {
+      sendMessage({ type: 'extension_added', extension: entry.extension });
+    } else if (before.signature !== entry.signature) {
+      sendMessage({ type: 'manifest_changed', extension: entry.extension });
+    }
+  }
 
-      resolve({
-        success: true,
-        method: 'profile',
-        profilePath: tempProfile,
-        note: 'Extension prepared in temporary profile'
-      });
+  for (const [extPath, entry] of previous) {
+    if (!current.has(extPath)) {
+      sendMessage({ type: 'extension_removed', path: extPath, extensionName: entry.extension.name });
     }
-  });
+  }
+
+  folderWatcher.snapshot = current;
 }
 
 /**
- * Find web-ext CLI tool
+ * Debounce file system events into a single rescan
  */
-function findWebExt() {
-  const platform = os.platform();
-  const cmd = platform === 'win32' ? 'where' : 'which';
+function scheduleWatchScan() {
+  if (!folderWatcher) return;
 
-  try {
-    const result = require('child_process').execSync(`${cmd} web-ext`, {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    return result.trim().split('\n')[0];
-  } catch (e) {
-    // Try npm global path
-    const npmGlobal = platform === 'win32'
-      ? path.join(process.env.APPDATA || '', 'npm', 'web-ext.cmd')
-      : '/usr/local/bin/web-ext';
+  clearTimeout(folderWatcher.timer);
+  folderWatcher.timer = setTimeout(diffWatchedFolder, WATCH_DEBOUNCE_MS);
+}
 
-    if (fs.existsSync(npmGlobal)) {
-      return npmGlobal;
+/**
+ * Start watching every extension root
+ * Only folder creation/removal and manifest.json edits trigger a rescan
+ */
+function startWatching() {
+  stopWatching();
+
+  const roots = getExtensionRoots().filter(root => fs.existsSync(root.path));
+  if (roots.length === 0) {
+    return false;
+  }
+
+  folderWatcher = {
+    roots,
+    watchers: [],
+    snapshot: takeFolderSnapshot(),
+    timer: null
+  };
+
+  for (const root of roots) {
+    try {
+      folderWatcher.watchers.push(watchTree(root.path, (filename, eventType) => {
+        if (!filename) {
+          scheduleWatchScan();
+          return;
+        }
+        if (filename.split(/[/\\]/).length > root.depth + 1 || isIgnoredChange(filename)) return;
+        if (eventType === 'rename' || path.basename(filename) === 'manifest.json') {
+          scheduleWatchScan();
+        }
+      }));
+    } catch (error) {
+      logError(`Failed to watch ${root.path}:`, error.message);
     }
+  }
 
-    return null;
+  if (folderWatcher.watchers.length === 0) {
+    folderWatcher = null;
+    return false;
   }
+  return true;
 }
 
 /**
- * Copy directory recursively
+ * Stop watching the extension roots
  */
-function copyDirSync(src, dest) {
-  fs.mkdirSync(dest, { recursive: true });
-  const entries = fs.readdirSync(src, { withFileTypes: true });
+function stopWatching() {
+  if (!folderWatcher) return;
 
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
+  clearTimeout(folderWatcher.timer);
+  for (const watcher of folderWatcher.watchers) {
+    watcher.close();
+  }
+  folderWatcher = null;
+}
 
-    if (entry.isDirectory()) {
-      copyDirSync(srcPath, destPath);
-    } else {
-      fs.copyFileSync(srcPath, destPath);
-    }
+/**
+ * Get a connected RDP client for the running Firefox
+ * Firefox must be started with --start-debugger-server <port>
+ */
+async function getRDPClient() {
+  if (rdpClient && rdpClient.connected) {
+    return rdpClient;
+  }
+
+  // Loads running side by side share one connection attempt
+  if (!rdpConnecting) {
+    rdpConnecting = connectRDPClient().finally(() => {
+      rdpConnecting = null;
+    });
   }
+  return rdpConnecting;
 }
 
 /**
- * Unload extension
+ * Open a new debugger connection and make it the shared one
  */
-async function unloadExtension(extensionPath) {
-  const loaded = loadedExtensions.get(extensionPath);
+async function connectRDPClient() {
+  const client = new RDPClient({
+    host: config.debuggerHost,
+    port: config.debuggerPort
+  });
+  await client.connect();
 
-  if (loaded) {
-    if (loaded.process) {
-      try {
-        loaded.process.kill();
-      } catch (e) {
-        // Process may already be dead
-      }
+  client.on('close', () => {
+    if (rdpClient === client) {
+      rdpClient = null;
     }
-    loadedExtensions.delete(extensionPath);
-    return { success: true };
-  }
+  });
+  client.on('event', onConsoleEvent);
 
-  return { success: false, error: 'Extension not found in loaded list' };
+  rdpClient = client;
+  return client;
 }
 
 /**
- * Handle incoming message
+ * Start copying a loaded add-on's console into its log
+ * Console capture is best effort: older and newer Firefox versions expose
+ * the console differently, and loading must not fail because of it
  */
-async function handleMessage(message) {
-  const action = message.action;
+async function watchConsole(extensionPath) {
+  const loaded = loadedExtensions.get(extensionPath);
+  if (!loaded || loaded.method !== 'rdp') return;
 
-  switch (action) {
-    case 'status':
-      sendMessage({
-        type: 'status',
-        version: VERSION,
-        firefoxPath: getFirefoxPath(),
-        extensionFolder: config.extensionFolder,
-        loadedCount: loadedExtensions.size
-      });
-      break;
+  try {
+    const client = await getRDPClient();
+    loaded.consoleActor = await client.watchAddonConsole(loaded.addonId);
+  } catch (error) {
+    extensionLogs.append(extensionPath, 'rapunzel', `Console capture unavailable: ${error.message}`);
+  }
+}
 
-    case 'scan':
-      const extensions = scanExtensionsFolder();
-      sendMessage({
-        type: 'extensions_list',
-        extensions: extensions,
-        folder: config.extensionFolder
-      });
-      break;
+/**
+ * Turn a console argument (a value or an RDP object grip) into text
+ */
+function formatConsoleArgument(arg) {
+  if (arg === null || typeof arg !== 'object') {
+    return String(arg);
+  }
+  switch (arg.type) {
+    case 'undefined':
+    case 'null':
+    case 'NaN':
+    case 'Infinity':
+      return arg.type;
+    case '-Infinity':
+      return '-Infinity';
+    case 'longString':
+      return arg.initial;
+    default:
+      return arg.class ? `[object ${arg.class}]` : JSON.stringify(arg);
+  }
+}
+
+/**
+ * Route console packets from the debugger server into extension logs
+ */
+function onConsoleEvent(packet) {
+  let extensionPath = null;
+  for (const [extPath, loaded] of loadedExtensions) {
+    if (loaded.consoleActor && loaded.consoleActor === packet.from) {
+      extensionPath = extPath;
+      break;
+    }
+  }
+  if (!extensionPath) return;
+
+  if (packet.type === 'consoleAPICall' && packet.message) {
+    const message = packet.message;
+    const text = (message.arguments || []).map(formatConsoleArgument).join(' ');
+    extensionLogs.append(extensionPath, 'console', message.level ? `[${message.level}] ${text}` : text);
+  } else if (packet.type === 'pageError' && packet.pageError) {
+    const error = packet.pageError;
+    const where = error.sourceName ? ` (${error.sourceName}:${error.lineNumber})` : '';
+    extensionLogs.append(extensionPath, error.warning ? 'console' : 'error', `${error.errorMessage}${where}`);
+  } else if (packet.type === 'logMessage' && packet.message) {
+    extensionLogs.append(extensionPath, 'console', String(packet.message));
+  }
+}
+
+/**
+ * Start or stop pushing new log lines to the browser as log_lines messages
+ * Lines are batched so a chatty extension does not flood the port
+ */
+function setLogStreaming(enabled) {
+  if (enabled && !logPush) {
+    const push = { pending: [], timer: null };
+
+    push.listener = (lines) => {
+      push.pending.push(...lines);
+      if (push.timer) return;
+
+      push.timer = setTimeout(() => {
+        push.timer = null;
+        const batch = push.pending.splice(0);
+        sendMessage({ type: 'log_lines', lines: batch });
+      }, LOG_PUSH_INTERVAL_MS);
+    };
+
+    extensionLogs.on('lines', push.listener);
+    logPush = push;
+  } else if (!enabled && logPush) {
+    extensionLogs.removeListener('lines', logPush.listener);
+    clearTimeout(logPush.timer);
+    logPush = null;
+  }
+}
+
+/**
+ * Load an extension, building it first if it declares a build step
+ * options.caller is recorded with the build in the audit log
+ */
+async function loadExtension(extensionPath, options = {}) {
+  try {
+    checkExtensionPath(extensionPath);
+    const { settings } = readExtensionSettings(extensionPath);
+    const build = getBuildConfig(extensionPath, settings);
+    if (!build) {
+      const loadPath = settings.sourceDir
+        ? checkExtensionPath(path.resolve(extensionPath, settings.sourceDir))
+        : extensionPath;
+      return await loadExtensionViaRDP(extensionPath, { ...options, loadPath, settings });
+    }
+
+    const buildResult = await runBuild(extensionPath, build, options.caller);
+    if (!buildResult.success) {
+      throw new Error(`Build failed: ${buildResult.error}`);
+    }
+    checkExtensionPath(build.outputPath);
+
+    const result = await loadExtensionViaRDP(extensionPath, { ...options, loadPath: build.outputPath, settings });
+    return { ...result, built: true, buildDuration: buildResult.duration };
+  } catch (error) {
+    extensionLogs.append(extensionPath, 'rapunzel', `Load failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Load extension via Firefox Remote Debugging Protocol
+ * Falls back to web-ext only when no debugger server is reachable
+ * options.autoReload overrides the extension's saved auto-reload setting;
+ * options.loadPath installs a different folder (e.g. build output) under
+ * this extension's path; options.settings are its .rapunzel.json settings
+ */
+async function loadExtensionViaRDP(extensionPath, options = {}) {
+  const autoReload = options.autoReload !== undefined
+    ? options.autoReload
+    : isAutoReloadEnabled(extensionPath);
+  const loadPath = options.loadPath || extensionPath;
+  const settings = options.settings || readExtensionSettings(extensionPath).settings;
+
+  let client;
+  try {
+    client = await getRDPClient();
+  } catch (error) {
+    logError('Debugger server not reachable:', error.message);
+    return loadExtensionViaWebExt(extensionPath, loadPath, error, autoReload, settings);
+  }
+
+  // Prefs go in first so the add-on sees them on startup
+  for (const [name, value] of Object.entries(settings.prefs)) {
+    await client.setPref(name, value);
+  }
+
+  const addon = await client.installTemporaryAddon(path.resolve(loadPath));
+  releasePrevious(extensionPath);
+  const startedAt = Date.now();
+  loadedExtensions.set(extensionPath, { method: 'rdp', addonId: addon.id, loadPath, autoReload, startedAt });
+  registry.add({ path: extensionPath, method: 'rdp', addonId: addon.id, loadPath, autoReload, startedAt });
+
+  if (autoReload) {
+    startAutoReload(extensionPath);
+  }
+
+  extensionLogs.append(extensionPath, 'rapunzel', `Installed ${addon.id} from ${loadPath}`);
+  await watchConsole(extensionPath);
+  openStartUrls(settings);
+
+  return { success: true, method: 'rdp', addonId: addon.id, loadPath, autoReload };
+}
+
+/**
+ * Load extension by spawning web-ext (opens a separate Firefox instance)
+ */
+function loadExtensionViaWebExt(extensionPath, loadPath, rdpError, autoReload, settings) {
+  const webExtPath = findWebExt();
+
+  if (!webExtPath) {
+    throw new Error(
+      `Could not connect to Firefox on port ${config.debuggerPort} ` +
+      `(${rdpError.message}). Start Firefox with --start-debugger-server or install web-ext.`
+    );
+  }
+
+  // web-ext watches and reloads by itself unless told not to
+  const args = ['run', '--source-dir', loadPath, '--keep-profile-changes'];
+  if (!autoReload) {
+    args.push('--no-reload');
+  }
+  if (settings.firefoxPath) {
+    args.push('--firefox', settings.firefoxPath);
+  }
+  for (const [name, value] of Object.entries(settings.prefs)) {
+    args.push('--pref', `${name}=${value}`);
+  }
+  for (const url of settings.startUrls) {
+    args.push('--start-url', url);
+  }
+
+  // Output goes to files rather than pipes: web-ext outlives this host, and
+  // a pipe with nobody reading it would block or kill it
+  const logFiles = createLoaderLogFiles();
+  const stdoutFd = fs.openSync(logFiles.stdout, 'a');
+  const stderrFd = fs.openSync(logFiles.stderr, 'a');
+  let proc;
+  try {
+    proc = spawn(webExtPath, args, {
+      stdio: ['ignore', stdoutFd, stderrFd],
+      detached: true
+    });
+  } finally {
+    fs.closeSync(stdoutFd);
+    fs.closeSync(stderrFd);
+  }
+
+  releasePrevious(extensionPath);
+  extensionLogs.append(extensionPath, 'rapunzel', `Started web-ext for ${loadPath}`);
+
+  const loaded = {
+    method: 'web-ext',
+    process: proc,
+    pid: proc.pid,
+    loadPath,
+    autoReload,
+    startedAt: Date.now(),
+    logFiles
+  };
+  loaded.detachLogs = followLoaderLogs(extensionPath, logFiles);
+  loadedExtensions.set(extensionPath, loaded);
+  superviseProcess(extensionPath, loaded);
+  proc.unref();
+
+  // No PID means spawning failed; the 'error' event reports it
+  if (proc.pid) {
+    registry.add({
+      path: extensionPath,
+      method: 'web-ext',
+      pid: proc.pid,
+      loadPath,
+      autoReload,
+      startedAt: loaded.startedAt,
+      logFiles
+    });
+  }
+
+  // web-ext reloads the output by itself; we still need to rebuild on changes
+  if (autoReload && getBuildConfig(extensionPath, settings)) {
+    startAutoReload(extensionPath);
+  }
+
+  return { success: true, method: 'web-ext', loadPath, autoReload };
+}
+
+/**
+ * Watch a web-ext process; when it ends without being unloaded, drop it
+ * from the loaded list, report extension_exited and apply the restart policy
+ */
+function superviseProcess(extensionPath, loaded) {
+  let reported = false;
+
+  const onEnd = (code, signal, error) => {
+    if (reported) return;
+    reported = true;
+
+    // Unloaded on purpose, or already replaced by a newer process
+    if (loadedExtensions.get(extensionPath) !== loaded) return;
+
+    stopAutoReload(extensionPath);
+    loadedExtensions.delete(extensionPath);
+    releaseLoader(extensionPath, loaded);
+
+    const crashed = !!error || !!signal || code !== 0;
+    const restart = scheduleRestart(extensionPath, crashed, Date.now() - loaded.startedAt, loaded.autoReload);
+
+    sendMessage({
+      type: 'extension_exited',
+      path: extensionPath,
+      extensionName: getExtensionName(extensionPath),
+      code,
+      signal,
+      error: error ? error.message : undefined,
+      crashed,
+      lastLines: extensionLogs.get({ path: extensionPath, limit: EXIT_LOG_LINES }),
+      restart
+    });
+  };
+
+  if (!loaded.process) {
+    // Adopted from an earlier host: not our child, so no exit event
+    loaded.pollTimer = setInterval(() => {
+      if (isProcessAlive(loaded.pid, 'web-ext')) return;
+      extensionLogs.append(extensionPath, 'rapunzel', 'web-ext ended');
+      onEnd(null, null, new Error('web-ext ended while adopted; exit code unknown'));
+    }, PROCESS_POLL_MS);
+    loaded.pollTimer.unref();
+    return;
+  }
+
+  loaded.process.on('error', (error) => {
+    extensionLogs.append(extensionPath, 'rapunzel', `web-ext failed: ${error.message}`);
+    onEnd(null, null, error);
+  });
+
+  loaded.process.on('close', (code, signal) => {
+    extensionLogs.append(extensionPath, 'rapunzel',
+      signal ? `web-ext stopped by ${signal}` : `web-ext exited with code ${code}`);
+    onEnd(code, signal, null);
+  });
+}
+
+/**
+ * Create the files a new web-ext process writes its output to
+ */
+function createLoaderLogFiles() {
+  fs.mkdirSync(LOADER_LOG_DIR, { recursive: true });
+  const id = `${Date.now()}-${process.pid}-${nextLoaderId++}`;
+  return {
+    stdout: path.join(LOADER_LOG_DIR, `${id}.out.log`),
+    stderr: path.join(LOADER_LOG_DIR, `${id}.err.log`)
+  };
+}
+
+/**
+ * Copy a loader's output files into its extension's log as they grow
+ * Returns a function that stops following them
+ */
+function followLoaderLogs(extensionPath, logFiles, options) {
+  const detachers = [
+    extensionLogs.attachFile(extensionPath, 'stdout', logFiles.stdout, options),
+    extensionLogs.attachFile(extensionPath, 'stderr', logFiles.stderr, options)
+  ];
+  return () => detachers.forEach(detach => detach());
+}
+
+/**
+ * Delete a loader's output files
+ */
+function removeLoaderLogFiles(logFiles) {
+  for (const file of Object.values(logFiles || {})) {
+    try {
+      fs.unlinkSync(file);
+    } catch (error) {
+      // Already gone, or still open on Windows
+    }
+  }
+}
+
+/**
+ * Forget a loader that is gone: stop following it and drop its registry
+ * entry and output files
+ */
+function releaseLoader(extensionPath, loaded) {
+  clearInterval(loaded.pollTimer);
+  if (loaded.detachLogs) {
+    loaded.detachLogs();
+  }
+  const id = loaded.method === 'rdp' ? loaded.addonId : loaded.pid;
+  if (id !== undefined) {
+    registry.remove(extensionPath, id);
+  }
+  removeLoaderLogFiles(loaded.logFiles);
+}
+
+/**
+ * Stop a web-ext loader on purpose
+ */
+function stopLoader(extensionPath, loaded) {
+  if (loadedExtensions.get(extensionPath) === loaded) {
+    loadedExtensions.delete(extensionPath);
+  }
+  if (loaded.pid) {
+    killProcess(loaded.pid);
+  }
+  releaseLoader(extensionPath, loaded);
+}
+
+/**
+ * Drop whatever was loaded for an extension before it is loaded again,
+ * so an old web-ext process is not left running unsupervised
+ */
+function releasePrevious(extensionPath) {
+  const previous = loadedExtensions.get(extensionPath);
+  if (!previous) return;
+
+  stopAutoReload(extensionPath);
+  if (previous.method === 'web-ext') {
+    stopLoader(extensionPath, previous);
+  } else {
+    loadedExtensions.delete(extensionPath);
+    releaseLoader(extensionPath, previous);
+  }
+}
+
+/**
+ * Take over the loaders recorded by earlier hosts that are still running
+ * Dead entries are pruned; loaders owned by a host that is still alive, or
+ * whose extension folder is gone, are left alone and reported as stale.
+ */
+function adoptLoaders() {
+  const adoptedAddons = [];
+
+  for (const entry of registry.list()) {
+    if (entry.method === 'web-ext' && !isProcessAlive(entry.pid, 'web-ext')) {
+      registry.remove(entry.path, entry.pid);
+      removeLoaderLogFiles(entry.logFiles);
+      continue;
+    }
+
+    const ownerAlive = entry.hostPid !== process.pid && isProcessAlive(entry.hostPid, 'native-host');
+    if (ownerAlive || !fs.existsSync(entry.path) || loadedExtensions.has(entry.path)) {
+      continue;
+    }
+
+    const loaded = {
+      method: entry.method,
+      pid: entry.pid,
+      addonId: entry.addonId,
+      loadPath: entry.loadPath,
+      autoReload: entry.autoReload,
+      startedAt: entry.startedAt,
+      logFiles: entry.logFiles,
+      adopted: true
+    };
+    loadedExtensions.set(entry.path, loaded);
+    registry.update(entry, { hostPid: process.pid });
+    extensionLogs.append(entry.path, 'rapunzel', `Adopted ${entry.method} loader from an earlier session`);
+
+    if (entry.method === 'web-ext') {
+      loaded.detachLogs = followLoaderLogs(entry.path, entry.logFiles || {}, { maxBacklog: ADOPTED_LOG_BACKLOG });
+      superviseProcess(entry.path, loaded);
+    } else {
+      adoptedAddons.push(entry.path);
+    }
+  }
+
+  if (adoptedAddons.length > 0) {
+    verifyAdoptedAddons(adoptedAddons);
+  }
+}
+
+/**
+ * Check that adopted add-ons are still installed; a restarted Firefox has
+ * forgotten its temporary add-ons
+ */
+async function verifyAdoptedAddons(extensionPaths) {
+  let installed = null;
+  try {
+    const client = await getRDPClient();
+    installed = (await client.listAddons())
+      .filter(addon => addon.temporarilyInstalled !== false)
+      .map(addon => addon.id);
+  } catch (error) {
+    logError('Cannot verify adopted add-ons:', error.message);
+  }
+
+  for (const extensionPath of extensionPaths) {
+    const loaded = loadedExtensions.get(extensionPath);
+    if (!loaded || !loaded.adopted) continue;
+
+    if (!installed || !installed.includes(loaded.addonId)) {
+      loadedExtensions.delete(extensionPath);
+      releaseLoader(extensionPath, loaded);
+      continue;
+    }
+
+    if (loaded.autoReload) {
+      startAutoReload(extensionPath);
+    }
+    await watchConsole(extensionPath);
+  }
+}
+
+/**
+ * List the loaders in the registry: 'running' ones that this or another
+ * live host controls, and 'stale' ones that nobody does
+ */
+function listLoaders() {
+  const loaders = [];
+
+  for (const entry of registry.list()) {
+    if (entry.method === 'web-ext' && !isProcessAlive(entry.pid, 'web-ext')) {
+      registry.remove(entry.path, entry.pid);
+      continue;
+    }
+
+    const loaded = loadedExtensions.get(entry.path);
+    const controlled = loaded && loaded.method === entry.method &&
+      (entry.method === 'rdp' ? loaded.addonId === entry.addonId : loaded.pid === entry.pid);
+    const ownerAlive = entry.hostPid !== process.pid && isProcessAlive(entry.hostPid, 'native-host');
+
+    loaders.push({
+      path: entry.path,
+      name: getExtensionName(entry.path),
+      method: entry.method,
+      pid: entry.pid,
+      addonId: entry.addonId,
+      startedAt: entry.startedAt,
+      hostPid: entry.hostPid,
+      status: controlled || ownerAlive ? 'running' : 'stale'
+    });
+  }
+
+  return loaders;
+}
+
+/**
+ * Stop every web-ext loader this host does not control
+ */
+function killStaleLoaders() {
+  const killed = [];
+
+  for (const loader of listLoaders()) {
+    if (loader.status !== 'stale' || loader.method !== 'web-ext') continue;
+
+    const success = killProcess(loader.pid);
+    if (success) {
+      const entry = registry.list().find(e => e.path === loader.path && e.pid === loader.pid);
+      registry.remove(loader.path, loader.pid);
+      removeLoaderLogFiles(entry && entry.logFiles);
+    }
+    killed.push({ path: loader.path, name: loader.name, pid: loader.pid, success });
+  }
+
+  return killed;
+}
+
+/**
+ * Start an exited extension again if its restart policy asks for it
+ * Returns { attempt, delay } for a scheduled restart, or null
+ */
+function scheduleRestart(extensionPath, crashed, uptime, autoReload) {
+  const { settings } = readExtensionSettings(extensionPath);
+  const wanted = settings.restart === 'always' || (settings.restart === 'on-failure' && crashed);
+  if (!wanted) {
+    restartStates.delete(extensionPath);
+    return null;
+  }
+
+  const state = restartStates.get(extensionPath) || { attempts: 0, timer: null };
+  if (uptime >= RESTART_STABLE_MS) {
+    state.attempts = 0;
+  }
+  if (state.attempts >= settings.maxRestarts) {
+    extensionLogs.append(extensionPath, 'rapunzel', `Giving up after ${state.attempts} restart(s)`);
+    restartStates.delete(extensionPath);
+    return null;
+  }
+
+  const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** state.attempts, RESTART_MAX_DELAY_MS);
+  state.attempts++;
+  const attempt = state.attempts;
+
+  state.timer = setTimeout(async () => {
+    state.timer = null;
+
+    // Loaded again by hand in the meantime
+    if (loadedExtensions.has(extensionPath)) return;
+
+    extensionLogs.append(extensionPath, 'rapunzel', `Restarting (attempt ${attempt})`);
+    const report = {
+      type: 'extension_restarted',
+      path: extensionPath,
+      extensionName: getExtensionName(extensionPath),
+      attempt
+    };
+
+    try {
+      const result = await loadExtension(extensionPath, { autoReload, caller: 'restart' });
+      audit('load', extensionPath, 'restart', { success: true, name: report.extensionName, attempt });
+      sendMessage({ ...report, ...result });
+    } catch (error) {
+      audit('load', extensionPath, 'restart', { success: false, name: report.extensionName, error: error.message, attempt });
+      sendMessage({
+        ...report,
+        success: false,
+        error: error.message,
+        restart: scheduleRestart(extensionPath, true, 0, autoReload)
+      });
+    }
+  }, delay);
+
+  restartStates.set(extensionPath, state);
+  extensionLogs.append(extensionPath, 'rapunzel', `Restarting in ${delay} ms (attempt ${attempt})`);
+  return { attempt, delay };
+}
+
+/**
+ * Cancel a pending restart, returns true if there was one
+ */
+function cancelRestart(extensionPath) {
+  const state = restartStates.get(extensionPath);
+  restartStates.delete(extensionPath);
+
+  if (state && state.timer) {
+    clearTimeout(state.timer);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether auto-reload is turned on for an extension
+ */
+function isAutoReloadEnabled(extensionPath) {
+  return (config.autoReloadPaths || []).includes(extensionPath);
+}
+
+/**
+ * Turn auto-reload on or off for an extension and persist the choice
+ */
+function setAutoReload(extensionPath, enabled) {
+  const paths = (config.autoReloadPaths || []).filter(p => p !== extensionPath);
+  if (enabled) {
+    paths.push(extensionPath);
+  }
+  config.autoReloadPaths = paths;
+  saveConfig();
+
+  const loaded = loadedExtensions.get(extensionPath);
+  if (enabled && loaded && (loaded.method === 'rdp' || getBuildConfig(extensionPath))) {
+    startAutoReload(extensionPath);
+  } else if (!enabled) {
+    stopAutoReload(extensionPath);
+  }
+}
+
+/**
+ * Check whether a changed file should trigger a reload
+ */
+function isIgnoredChange(filename) {
+  if (!filename) return false;
+
+  const parts = filename.split(/[/\\]/);
+  if (parts.some(part => IGNORED_DIRS.includes(part))) {
+    return true;
+  }
+  return RELOAD_IGNORE_FILES.test(parts[parts.length - 1]);
+}
+
+/**
+ * Watch a directory tree, calling onChange(relativePath, eventType) for every event
+ * Uses a recursive watcher where the platform supports one, otherwise
+ * one watcher per directory
+ */
+function watchTree(root, onChange) {
+  try {
+    const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => {
+      onChange(filename ? filename.toString() : null, eventType);
+    });
+    watcher.on('error', (error) => logError(`Watcher error in ${root}:`, error.message));
+    return { close: () => watcher.close() };
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+  }
+
+  const watchers = new Map();
+
+  const watchDir = (dir) => {
+    if (watchers.has(dir)) return;
+
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        const relative = filename ? path.relative(root, path.join(dir, filename.toString())) : null;
+        if (filename && eventType === 'rename') {
+          // A new directory needs its own watcher
+          const fullPath = path.join(dir, filename.toString());
+          if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory() && !isIgnoredChange(relative)) {
+            watchDir(fullPath);
+          }
+        }
+        onChange(relative, eventType);
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) {
+          watchDir(path.join(dir, entry.name));
+        }
+      }
+    } catch (error) {
+      logError(`Failed to watch ${dir}:`, error.message);
+    }
+  };
+
+  watchDir(root);
+
+  return {
+    close: () => {
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    }
+  };
+}
+
+/**
+ * Start watching a loaded extension's source tree for changes
+ */
+function startAutoReload(extensionPath) {
+  const loaded = loadedExtensions.get(extensionPath);
+  if (!loaded || loaded.reloadWatcher) return;
+
+  const state = {
+    timer: null,
+    running: false,
+    pending: false,
+    changedFiles: new Set(),
+    watcher: null
+  };
+
+  const trigger = () => {
+    if (state.running) {
+      state.pending = true;
+      return;
+    }
+    const changedFiles = Array.from(state.changedFiles);
+    state.changedFiles.clear();
+    state.running = true;
+
+    reloadExtension(extensionPath, changedFiles, 'watcher').then((result) => {
+      auditResult('reload', result, 'watcher');
+      sendMessage(result);
+    }).finally(() => {
+      state.running = false;
+      if (state.pending) {
+        state.pending = false;
+        trigger();
+      }
+    });
+  };
+
+  // Build output lives inside the source tree; don't react to our own
+  // writes. A build into the extension folder itself ("outputDir": ".")
+  // writes next to the sources, so changes are ignored while it runs.
+  const build = getBuildConfig(extensionPath);
+  const outputDir = build && build.outputPath !== path.resolve(extensionPath)
+    ? path.relative(extensionPath, build.outputPath)
+    : null;
+  const isOutput = (filename) => outputDir && filename &&
+    (filename === outputDir || filename.startsWith(outputDir + path.sep));
+
+  try {
+    state.watcher = watchTree(extensionPath, (filename) => {
+      if (isIgnoredChange(filename) || isOutput(filename) || isBuilding(extensionPath)) return;
+
+      if (filename) {
+        state.changedFiles.add(filename);
+      }
+      clearTimeout(state.timer);
+      state.timer = setTimeout(trigger, RELOAD_DEBOUNCE_MS);
+    });
+  } catch (error) {
+    logError(`Failed to watch ${extensionPath} for auto-reload:`, error.message);
+    return;
+  }
+
+  loaded.reloadWatcher = state;
+}
+
+/**
+ * Stop watching a loaded extension's source tree
+ */
+function stopAutoReload(extensionPath) {
+  const loaded = loadedExtensions.get(extensionPath);
+  if (!loaded || !loaded.reloadWatcher) return;
+
+  clearTimeout(loaded.reloadWatcher.timer);
+  loaded.reloadWatcher.watcher.close();
+  delete loaded.reloadWatcher;
+}
+
+/**
+ * Reload a single loaded extension (rebuilding it first if it has a build
+ * step), returns a reload_result message
+ */
+async function reloadExtension(extensionPath, changedFiles = [], caller) {
+  const loaded = loadedExtensions.get(extensionPath);
+  const startedAt = Date.now();
+  const report = {
+    type: 'reload_result',
+    path: extensionPath,
+    extensionName: path.basename(extensionPath),
+    changedFiles
+  };
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(extensionPath, 'manifest.json'), 'utf8'));
+    report.extensionName = manifest.name || report.extensionName;
+
+    if (!loaded) {
+      throw new Error('Extension is not loaded');
+    }
+
+    const build = getBuildConfig(extensionPath);
+    if (build) {
+      const buildResult = await runBuild(extensionPath, build, caller);
+      if (!buildResult.success) {
+        throw new Error(`Build failed: ${buildResult.error}`);
+      }
+    }
+
+    if (loaded.method === 'rdp') {
+      const client = await getRDPClient();
+      await client.reloadAddon(loaded.addonId);
+      extensionLogs.append(extensionPath, 'rapunzel', `Reloaded ${loaded.addonId}`);
+      await watchConsole(extensionPath);
+    } else if (!build) {
+      throw new Error('Extension is not loaded through the debugger server');
+    }
+    // web-ext notices the rebuilt output and reloads by itself
+
+    return {
+      ...report,
+      success: true,
+      addonId: loaded.addonId,
+      reloadedAt: Date.now(),
+      duration: Date.now() - startedAt
+    };
+  } catch (error) {
+    extensionLogs.append(extensionPath, 'rapunzel', `Reload failed: ${error.message}`);
+    return {
+      ...report,
+      success: false,
+      error: error.message,
+      reloadedAt: Date.now(),
+      duration: Date.now() - startedAt
+    };
+  }
+}
+
+/**
+ * Get an extension's build step from its merged settings
+ * Returns { command, outputDir, outputPath } or null
+ */
+function getBuildConfig(extensionPath, settings = readExtensionSettings(extensionPath).settings) {
+  if (!settings.build) {
+    return null;
+  }
+
+  const outputDir = settings.outputDir || '.';
+  return {
+    command: settings.build,
+    outputDir,
+    outputPath: path.resolve(extensionPath, outputDir)
+  };
+}
+
+/**
+ * Check whether an extension's build is running or has just finished
+ */
+function isBuilding(extensionPath) {
+  const state = buildStates.get(extensionPath);
+  return !!state && (state.running > 0 || Date.now() - state.endedAt < BUILD_SETTLE_MS);
+}
+
+/**
+ * Run an extension's build command, streaming its output to the browser
+ * Resolves with a build_result message (also sent to the browser)
+ * caller is who asked for the load, reload or pack that needs the build
+ */
+function runBuild(extensionPath, build, caller) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const tail = [];
+
+    const buildState = buildStates.get(extensionPath) || { running: 0, endedAt: 0 };
+    buildState.running++;
+    buildStates.set(extensionPath, buildState);
+
+    extensionLogs.append(extensionPath, 'rapunzel', `Building: ${build.command}`);
+    sendMessage({
+      type: 'build_started',
+      path: extensionPath,
+      command: build.command
+    });
+
+    // 'error' and 'close' can both arrive, and 'close' still comes after a
+    // timeout has given up on the build
+    let finished = false;
+    const finish = (success, error, exitCode) => {
+      if (finished) return;
+      finished = true;
+      buildState.running--;
+      buildState.endedAt = Date.now();
+
+      const result = {
+        type: 'build_result',
+        path: extensionPath,
+        command: build.command,
+        success,
+        error,
+        exitCode,
+        output: tail.slice(),
+        duration: Date.now() - startedAt
+      };
+      audit('build', extensionPath, caller, {
+        success,
+        command: build.command,
+        error,
+        exitCode,
+        duration: result.duration
+      });
+      sendMessage(result);
+      resolve(result);
+    };
+
+    // Detached, so the build is a process group: the shell alone is not
+    // the build when the command is "npm ci && npm run build"
+    let proc;
+    try {
+      proc = spawn(build.command, {
+        cwd: extensionPath,
+        shell: true,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true
+      });
+    } catch (error) {
+      finish(false, error.message, null);
+      return;
+    }
+
+    // 'close' waits for every process holding the output pipes, so do not
+    // wait for it after stopping the build
+    const timer = setTimeout(() => {
+      killProcess(proc.pid);
+      flushOutput();
+      finish(false, `"${build.command}" took longer than ${BUILD_TIMEOUT_MS / 1000} s and was stopped`, null);
+    }, BUILD_TIMEOUT_MS);
+
+    // Output is forwarded line by line; partial lines wait for the rest
+    const partial = { stdout: '', stderr: '' };
+
+    const emitLines = (stream, lines) => {
+      if (lines.length === 0) return;
+
+      extensionLogs.append(extensionPath, 'build', lines.join('\n'));
+      tail.push(...lines);
+      tail.splice(0, Math.max(0, tail.length - BUILD_OUTPUT_TAIL));
+      sendMessage({
+        type: 'build_output',
+        path: extensionPath,
+        stream,
+        lines
+      });
+    };
+
+    const onOutput = (stream) => (chunk) => {
+      const lines = (partial[stream] + chunk.toString('utf8')).split(/\r?\n/);
+      partial[stream] = lines.pop();
+      emitLines(stream, lines);
+    };
+
+    const flushOutput = () => {
+      for (const stream of Object.keys(partial)) {
+        if (partial[stream]) {
+          emitLines(stream, [partial[stream]]);
+          partial[stream] = '';
+        }
+      }
+    };
+
+    proc.stdout.on('data', onOutput('stdout'));
+    proc.stderr.on('data', onOutput('stderr'));
+
+    proc.on('error', (error) => {
+      clearTimeout(timer);
+      finish(false, error.message, null);
+    });
+
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer);
+      flushOutput();
+
+      if (code !== 0) {
+        const reason = signal ? `killed by ${signal}` : `exited with code ${code}`;
+        finish(false, `"${build.command}" ${reason}`, code);
+      } else if (!fs.existsSync(path.join(build.outputPath, 'manifest.json'))) {
+        finish(false, `Build succeeded but ${build.outputDir} has no manifest.json`, code);
+      } else {
+        finish(true, undefined, code);
+      }
+    });
+  });
+}
+
+/**
+ * Folder packages are written to
+ */
+function getPackOutputDir() {
+  return config.packOutputDir || DEFAULT_PACK_DIR;
+}
+
+/**
+ * Get the file name of an extension's package: <name>-<version>.xpi
+ * Localized names (__MSG_...__) fall back to the folder name.
+ */
+function getPackageFileName(ext, format) {
+  const name = /^__MSG_/.test(ext.name) ? path.basename(ext.path) : ext.name;
+  const base = `${name}-${ext.version}`
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '');
+  return `${base || 'extension'}.${format}`;
+}
+
+/**
+ * Pack an extension into a reproducible .xpi (or .zip)
+ * An extension with a build step is built first and its output packed,
+ * just as it would be loaded.
+ */
+async function packExtension(extensionPath, format = 'xpi', caller) {
+  const startedAt = Date.now();
+  const ext = scanExtensionsFolder().find(e => e.path === extensionPath);
+  const fail = (error) => {
+    if (ext) {
+      extensionLogs.append(extensionPath, 'rapunzel', `Pack failed: ${error}`);
+    }
+    return {
+      type: 'pack_result',
+      success: false,
+      error,
+      path: extensionPath,
+      extensionName: ext ? ext.name : path.basename(extensionPath || '')
+    };
+  };
+
+  if (!ext) {
+    return fail('Not an extension in any of the extension roots');
+  }
+  if (!['xpi', 'zip'].includes(format)) {
+    return fail(`Unknown package format: ${format}`);
+  }
+  if (!ext.valid) {
+    return fail('Fix the manifest errors before packing');
+  }
+
+  let packPath = ext.settings.sourceDir
+    ? path.resolve(extensionPath, ext.settings.sourceDir)
+    : extensionPath;
+  let buildDuration;
+  if (ext.build) {
+    const buildResult = await runBuild(extensionPath, ext.build, caller);
+    if (!buildResult.success) {
+      return fail(`Build failed: ${buildResult.error}`);
+    }
+    packPath = ext.build.outputPath;
+    buildDuration = buildResult.duration;
+  }
+
+  try {
+    checkExtensionPath(packPath);
+    const roots = getExtensionRoots()
+      .filter(root => fs.existsSync(root.path))
+      .map(root => fs.realpathSync(root.path));
+    const outputFile = path.join(getPackOutputDir(), getPackageFileName(ext, format));
+    const packed = await packFolder(packPath, outputFile, {
+      ignore: (config.packIgnore || []).concat(ext.settings.packIgnore),
+      isLinkAllowed: (target) => roots.some(root => isInside(root, target))
+    });
+    extensionLogs.append(extensionPath, 'rapunzel',
+      `Packed ${packed.files} file(s) into ${packed.path} (${packed.size} bytes, sha256 ${packed.sha256})`);
+
+    return {
+      type: 'pack_result',
+      success: true,
+      path: extensionPath,
+      extensionName: ext.name,
+      version: ext.version,
+      format,
+      file: packed.path,
+      size: packed.size,
+      sha256: packed.sha256,
+      files: packed.files,
+      built: !!ext.build,
+      buildDuration,
+      duration: Date.now() - startedAt
+    };
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+/**
+ * Open an extension's start URLs in the running Firefox
+ */
+function openStartUrls(settings) {
+  if (settings.startUrls.length === 0) return;
+
+  const firefoxPath = settings.firefoxPath || getFirefoxPath();
+  if (!firefoxPath) {
+    logError('Cannot open start URLs: Firefox not found');
+    return;
+  }
+
+  // "--" keeps Firefox from reading a URL as one of its options
+  const proc = spawn(firefoxPath, ['--', ...settings.startUrls], {
+    stdio: 'ignore',
+    detached: true
+  });
+  proc.on('error', (error) => logError('Failed to open start URLs:', error.message));
+  proc.unref();
+}
+
+/**
+ * Find web-ext CLI tool
+ */
+function findWebExt() {
+  const platform = os.platform();
+  const cmd = platform === 'win32' ? 'where' : 'which';
+
+  try {
+    const result = require('child_process').execSync(`${cmd} web-ext`, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    return result.trim().split('\n')[0];
+  } catch (e) {
+    // Try npm global path
+    const npmGlobal = platform === 'win32'
+      ? path.join(process.env.APPDATA || '', 'npm', 'web-ext.cmd')
+      : '/usr/local/bin/web-ext';
+
+    if (fs.existsSync(npmGlobal)) {
+      return npmGlobal;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Unload extension
+ */
+async function unloadExtension(extensionPath) {
+  const loaded = loadedExtensions.get(extensionPath);
+  const restartCancelled = cancelRestart(extensionPath);
+
+  if (loaded) {
+    stopAutoReload(extensionPath);
+
+    if (loaded.method === 'rdp') {
+      try {
+        const client = await getRDPClient();
+        await client.uninstallAddon(loaded.addonId);
+      } catch (error) {
+        return { success: false, error: `Failed to uninstall ${loaded.addonId}: ${error.message}` };
+      }
+      loadedExtensions.delete(extensionPath);
+      releaseLoader(extensionPath, loaded);
+    } else {
+      stopLoader(extensionPath, loaded);
+    }
+    extensionLogs.append(extensionPath, 'rapunzel', 'Unloaded');
+    return { success: true };
+  }
+
+  // Exited and waiting to be restarted: unloading means not restarting
+  if (restartCancelled) {
+    extensionLogs.append(extensionPath, 'rapunzel', 'Restart cancelled');
+    return { success: true };
+  }
+
+  return { success: false, error: 'Extension not found in loaded list' };
+}
+
+/**
+ * Get the workspaces file: configured path, or one next to the extensions
+ */
+function getWorkspacesFile() {
+  if (config.workspacesFile) {
+    return config.workspacesFile;
+  }
+  if (config.extensionFolder) {
+    return path.join(config.extensionFolder, WORKSPACES_FILE_NAME);
+  }
+  return null;
+}
+
+/**
+ * Read workspaces from the workspaces file
+ *
+ * {
+ *   "workspaces": {
+ *     "checkout-flow": {
+ *       "description": "Cart and payment tooling",
+ *       "extensions": ["cart-helper", { "path": "tools/payment-debug", "autoReload": true }],
+ *       "options": { "autoReload": false }
+ *     }
+ *   }
+ * }
+ *
+ * Extension paths are relative to the file, so it can be committed to a repo.
+ * Like every requested path, they must lead into an extension root.
+ */
+function readWorkspaces() {
+  const file = getWorkspacesFile();
+  const result = { file, workspaces: [], error: null };
+
+  if (!file || !fs.existsSync(file)) {
+    return result;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    result.error = `Invalid workspaces file ${file}: ${error.message}`;
+    return result;
+  }
+
+  const baseDir = path.dirname(file);
+  const workspaces = (data && data.workspaces) || {};
+
+  for (const [name, workspace] of Object.entries(workspaces)) {
+    const options = workspace.options || {};
+    const extensions = (workspace.extensions || []).map(entry => {
+      const spec = typeof entry === 'string' ? { path: entry } : entry;
+      const extPath = path.resolve(baseDir, spec.path || '');
+      return {
+        path: extPath,
+        autoReload: spec.autoReload !== undefined ? !!spec.autoReload : options.autoReload,
+        exists: fs.existsSync(path.join(extPath, 'manifest.json'))
+      };
+    });
+
+    result.workspaces.push({
+      name,
+      description: workspace.description || '',
+      extensions
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Find a workspace by name, throwing if it is missing
+ */
+function getWorkspace(name) {
+  const { workspaces, error, file } = readWorkspaces();
+  if (error) {
+    throw new Error(error);
+  }
+
+  const workspace = workspaces.find(w => w.name === name);
+  if (!workspace) {
+    throw new Error(`Workspace "${name}" not found in ${file || 'workspaces file'}`);
+  }
+  return workspace;
+}
+
+/**
+ * Read an extension's display name from its manifest
+ */
+function getExtensionName(extensionPath) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(extensionPath, 'manifest.json'), 'utf8'));
+    return manifest.name || path.basename(extensionPath);
+  } catch (e) {
+    return path.basename(extensionPath);
+  }
+}
+
+/**
+ * Switch to a workspace: unload the active workspace's extensions that the
+ * new one does not use, then load the new set
+ */
+async function loadWorkspace(name, caller) {
+  const workspace = getWorkspace(name);
+  const wanted = new Set(workspace.extensions.map(e => e.path));
+  const unloaded = [];
+  const loaded = [];
+
+  if (config.activeWorkspace && config.activeWorkspace !== name) {
+    let previous = null;
+    try {
+      previous = getWorkspace(config.activeWorkspace);
+    } catch (error) {
+      logError('Previous workspace unavailable:', error.message);
+    }
+
+    for (const ext of previous ? previous.extensions : []) {
+      if (wanted.has(ext.path) || !loadedExtensions.has(ext.path)) continue;
+      const result = await unloadExtension(ext.path);
+      unloaded.push({ path: ext.path, name: getExtensionName(ext.path), ...result });
+    }
+  }
+
+  for (const ext of workspace.extensions) {
+    const extName = getExtensionName(ext.path);
+
+    if (!ext.exists) {
+      loaded.push({ path: ext.path, name: extName, success: false, error: 'No manifest.json in folder' });
+      continue;
+    }
+
+    try {
+      const result = await loadExtension(ext.path, { autoReload: ext.autoReload, caller });
+      loaded.push({ path: ext.path, name: extName, ...result });
+    } catch (error) {
+      loaded.push({ path: ext.path, name: extName, success: false, error: error.message });
+    }
+  }
+
+  config.activeWorkspace = name;
+  saveConfig();
+
+  return {
+    type: 'workspace_loaded',
+    name,
+    loaded,
+    unloaded,
+    totalLoaded: loaded.filter(r => r.success).length,
+    totalFailed: loaded.filter(r => !r.success).length
+  };
+}
+
+/**
+ * Load a saved set of extensions ({ path, autoReload } entries) again,
+ * e.g. after a browser restart, reporting why any of them failed
+ */
+async function restoreExtensions(entries, caller) {
+  const results = new Map();
+  const toLoad = [];
+
+  for (const entry of entries) {
+    // Nothing outside the roots is read, not even its manifest
+    let pathError = null;
+    try {
+      checkExtensionPath(entry.path);
+    } catch (error) {
+      pathError = error;
+    }
+
+    // Failures echo the saved options so the caller can keep the entry
+    const base = {
+      path: entry.path,
+      name: !pathError ? getExtensionName(entry.path) : (entry.name || path.basename(String(entry.path))),
+      autoReload: entry.autoReload
+    };
+
+    if (loadedExtensions.has(entry.path)) {
+      results.set(entry.path, { ...base, success: true, alreadyLoaded: true });
+    } else if (pathError && pathError.code !== 'path_not_found') {
+      results.set(entry.path, { ...base, success: false, error: pathError.message, code: pathError.code });
+    } else if (!fs.existsSync(entry.path)) {
+      results.set(entry.path, { ...base, success: false, error: 'Folder no longer exists' });
+    } else if (!fs.existsSync(path.join(entry.path, 'manifest.json'))) {
+      results.set(entry.path, { ...base, success: false, error: 'No manifest.json in folder' });
+    } else {
+      toLoad.push({ ...base, settings: readExtensionSettings(entry.path).settings });
+    }
+  }
+
+  const startedAt = Date.now();
+  await runBatch(toBatchItems(toLoad), {
+    concurrency: getLoadConcurrency(),
+    run: async (item) => {
+      const base = item.entry;
+      const loadStartedAt = Date.now();
+      try {
+        const options = typeof base.autoReload === 'boolean' ? { autoReload: base.autoReload, caller } : { caller };
+        const result = await loadExtension(base.path, options);
+        results.set(base.path, { ...base, ...result, duration: Date.now() - loadStartedAt });
+        return true;
+      } catch (error) {
+        results.set(base.path, { ...base, success: false, error: error.message, duration: Date.now() - loadStartedAt });
+        return false;
+      }
+    },
+    skip: (item, reason) => {
+      results.set(item.id, { ...item.entry, success: false, error: reason.error });
+    }
+  });
+
+  const restored = entries
+    .map(entry => results.get(entry.path))
+    .filter(Boolean)
+    .map(({ settings, ...result }) => result);
+
+  return {
+    type: 'restore_result',
+    restored,
+    totalRestored: restored.filter(r => r.success).length,
+    totalFailed: restored.filter(r => !r.success).length,
+    duration: Date.now() - startedAt
+  };
+}
+
+/**
+ * Number of extensions loaded at the same time by load all and restore
+ */
+function getLoadConcurrency() {
+  return config.loadConcurrency;
+}
+
+/**
+ * Turn extensions about to be loaded together ({ path, name, settings,
+ * error? }) into batch scheduler items
+ * A dependency outside the batch has to be loaded already.
+ */
+function toBatchItems(entries) {
+  const batchPaths = new Set(entries.map(entry => entry.path));
+
+  return entries.map(entry => {
+    const dependsOn = [];
+    let error = entry.error;
+
+    for (const dep of entry.settings.dependsOn) {
+      const depPath = path.resolve(entry.path, dep);
+      if (batchPaths.has(depPath)) {
+        dependsOn.push(depPath);
+      } else if (!loadedExtensions.has(depPath) && !error) {
+        error = `Depends on ${getExtensionName(depPath)}, which is not loaded`;
+      }
+    }
+
+    return {
+      id: entry.path,
+      name: entry.name,
+      priority: entry.settings.priority,
+      dependsOn,
+      error,
+      entry
+    };
+  });
+}
+
+/**
+ * Unload every loaded extension that belongs to a workspace
+ */
+async function unloadWorkspace(name) {
+  const workspace = getWorkspace(name);
+  const unloaded = [];
+
+  for (const ext of workspace.extensions) {
+    if (!loadedExtensions.has(ext.path)) continue;
+    const result = await unloadExtension(ext.path);
+    unloaded.push({ path: ext.path, name: getExtensionName(ext.path), ...result });
+  }
+
+  if (config.activeWorkspace === name) {
+    config.activeWorkspace = '';
+    saveConfig();
+  }
+
+  return {
+    type: 'workspace_unloaded',
+    name,
+    unloaded
+  };
+}
+
+/**
+ * Start a cancellable batch over a list of extensions and announce it
+ * Until a batch_progress message says otherwise, every item is queued.
+ */
+function startBatch(action, items) {
+  activeBatch = { id: nextBatchId++, action, cancelled: false };
+  sendMessage({
+    type: 'batch_started',
+    batchId: activeBatch.id,
+    action,
+    items: items.map(item => ({ path: item.path, name: item.name }))
+  });
+  return activeBatch;
+}
+
+/**
+ * Report a change in the status of one batch item
+ */
+function sendBatchProgress(batch, item, status, details = {}) {
+  sendMessage({
+    type: 'batch_progress',
+    batchId: batch.id,
+    action: batch.action,
+    path: item.path,
+    name: item.name,
+    status,
+    ...details
+  });
+}
+
+/**
+ * Stop the running batch after the item it is working on
+ */
+function cancelBatch(batchId) {
+  if (!activeBatch || (batchId !== undefined && batchId !== activeBatch.id)) {
+    return { type: 'batch_cancel', success: false, error: 'No batch operation is running' };
+  }
+
+  activeBatch.cancelled = true;
+  return { type: 'batch_cancel', success: true, batchId: activeBatch.id, action: activeBatch.action };
+}
+
+/**
+ * Load every enabled extension, reporting progress as it goes
+ * Disabled extensions are left out. Loads run side by side up to the
+ * configured concurrency, in priority and dependency order.
+ */
+async function loadAllExtensions(caller) {
+  const allExtensions = scanExtensionsFolder()
+    .filter(ext => ext.settings.enabled)
+    .sort((a, b) => b.settings.priority - a.settings.priority);
+  const batch = startBatch('load_all', allExtensions);
+  const results = new Map();
+  const startedAt = Date.now();
+
+  const items = toBatchItems(allExtensions.map(ext => {
+    const errors = ext.diagnostics.filter(d => d.severity === 'error');
+    return {
+      path: ext.path,
+      name: ext.name,
+      settings: ext.settings,
+      error: ext.valid ? null : `Invalid extension: ${errors[0].message}`
+    };
+  }));
+
+  try {
+    await runBatch(items, {
+      concurrency: getLoadConcurrency(),
+      isCancelled: () => batch.cancelled,
+      run: async (item) => {
+        const base = { name: item.name, path: item.id };
+        sendBatchProgress(batch, base, 'loading');
+
+        const loadStartedAt = Date.now();
+        try {
+          const loadResult = await loadExtension(item.id, { caller });
+          const duration = Date.now() - loadStartedAt;
+          results.set(item.id, {
+            ...base,
+            success: true,
+            method: loadResult.method,
+            addonId: loadResult.addonId,
+            autoReload: loadResult.autoReload,
+            duration
+          });
+          sendBatchProgress(batch, base, 'loaded', { method: loadResult.method, duration });
+          return true;
+        } catch (error) {
+          const duration = Date.now() - loadStartedAt;
+          results.set(item.id, { ...base, success: false, error: error.message, duration });
+          sendBatchProgress(batch, base, 'failed', { error: error.message, duration });
+          return false;
+        }
+      },
+      skip: (item, reason) => {
+        const base = { name: item.name, path: item.id };
+        if (reason.cancelled) {
+          results.set(item.id, { ...base, success: false, cancelled: true, error: 'Cancelled' });
+          sendBatchProgress(batch, base, 'cancelled');
+        } else {
+          results.set(item.id, { ...base, success: false, error: reason.error });
+          sendBatchProgress(batch, base, 'failed', { error: reason.error });
+        }
+      }
+    });
+  } finally {
+    activeBatch = null;
+  }
+
+  const ordered = allExtensions.map(ext => results.get(ext.path));
+  return {
+    type: 'load_all_result',
+    batchId: batch.id,
+    results: ordered,
+    cancelled: batch.cancelled,
+    concurrency: getLoadConcurrency(),
+    duration: Date.now() - startedAt,
+    totalLoaded: ordered.filter(r => r.success).length,
+    totalFailed: ordered.filter(r => !r.success && !r.cancelled).length,
+    totalCancelled: ordered.filter(r => r.cancelled).length
+  };
+}
+
+/**
+ * Unload every loaded extension, reporting progress as it goes
+ */
+async function unloadAllExtensions() {
+  const items = Array.from(loadedExtensions.keys(), extPath => ({ path: extPath, name: getExtensionName(extPath) }));
+  const batch = startBatch('unload_all', items);
+  const results = [];
+
+  try {
+    for (const item of items) {
+      if (batch.cancelled) {
+        results.push({ ...item, success: false, cancelled: true, error: 'Cancelled' });
+        sendBatchProgress(batch, item, 'cancelled');
+        continue;
+      }
+
+      sendBatchProgress(batch, item, 'unloading');
+      const result = await unloadExtension(item.path);
+      results.push({ ...item, ...result });
+      sendBatchProgress(batch, item, result.success ? 'unloaded' : 'failed', { error: result.error });
+    }
+  } finally {
+    activeBatch = null;
+  }
+
+  if (config.activeWorkspace && !batch.cancelled) {
+    config.activeWorkspace = '';
+    saveConfig();
+  }
+
+  return {
+    type: 'unload_all_result',
+    batchId: batch.id,
+    results,
+    cancelled: batch.cancelled,
+    totalUnloaded: results.filter(r => r.success).length,
+    totalFailed: results.filter(r => !r.success && !r.cancelled).length,
+    totalCancelled: results.filter(r => r.cancelled).length
+  };
+}
+
+/**
+ * Check that a requested path is inside the extension roots
+ * Returns the normalized path, or throws a PathError
+ */
+function checkExtensionPath(extensionPath) {
+  return resolveInsideRoots(extensionPath, getExtensionRoots().map(root => root.path));
+}
+
+/**
+ * Reply to a request with a path that was rejected
+ */
+function rejectPath(reply, error) {
+  if (!(error instanceof PathError)) {
+    throw error;
+  }
+
+  logError('Rejected path:', error.message);
+  reply({
+    type: 'error',
+    code: error.code,
+    error: error.message,
+    path: error.path
+  });
+}
+
+/**
+ * Add an entry to the audit log
+ * details.success (true/false) becomes the entry's result; details.code
+ * marks a refused request
+ */
+function audit(action, extensionPath, caller, details = {}) {
+  const { success, ...rest } = details;
+  auditLog.record({
+    action,
+    path: extensionPath,
+    result: rest.code ? 'rejected' : success ? 'success' : 'failed',
+    caller: caller || 'helper',
+    ...rest
+  });
+}
+
+/**
+ * Record the outcome of an action from the reply it produced
+ * Batch replies give one entry per extension.
+ */
+function auditResult(action, response, caller) {
+  const batch = (type, results) => {
+    for (const result of results || []) {
+      if (result.cancelled) continue;
+      audit(type, result.path, caller, {
+        success: result.success,
+        name: result.name,
+        error: result.error,
+        code: result.code,
+        batch: action
+      });
+    }
+  };
+
+  switch (response.type) {
+    case 'error':
+      audit(action, response.path, caller, { success: false, error: response.error, code: response.code });
+      break;
+
+    case 'load_result':
+    case 'reload_result':
+    case 'unload_result':
+      audit(action, response.path, caller, {
+        success: response.success,
+        name: response.extensionName,
+        error: response.error
+      });
+      break;
+
+    case 'pack_result':
+      audit(action, response.path, caller, {
+        success: response.success,
+        name: response.extensionName,
+        error: response.error,
+        file: response.file,
+        sha256: response.sha256
+      });
+      break;
+
+    case 'folder_set':
+      audit(action, response.path, caller, { success: true });
+      break;
+
+    case 'roots_set':
+      audit(action, undefined, caller, { success: true, roots: response.roots.map(root => root.path) });
+      break;
+
+    case 'watch_status':
+      audit(action, response.folder, caller, { success: true, enabled: response.enabled });
+      break;
+
+    case 'settings':
+      audit(action, undefined, caller, { success: true, settings: response.settings });
+      break;
+
+    case 'pack_output_dir_set':
+      audit(action, response.outputDir, caller, { success: true });
+      break;
+
+    case 'load_all_result':
+      batch('load', response.results);
+      break;
+
+    case 'unload_all_result':
+      batch('unload', response.results);
+      break;
+
+    case 'restore_result':
+      batch('load', response.restored);
+      break;
+
+    case 'workspace_loaded':
+      batch('unload', response.unloaded);
+      batch('load', response.loaded);
+      break;
+
+    case 'workspace_unloaded':
+      batch('unload', response.unloaded);
+      break;
+
+    case 'stale_loaders_killed':
+      for (const killed of response.killed) {
+        audit('kill_loader', killed.path, caller, { success: killed.success, name: killed.name, pid: killed.pid });
+      }
+      break;
+  }
+}
+
+/**
+ * Handle incoming message
+ * Replies go to respond: the browser, or a control socket client
+ * caller names who sent it, for the audit log
+ */
+async function handleMessage(message, respond = sendToBrowser, caller = 'browser') {
+  const action = message.action;
+
+  // Echo the caller's request ID so replies can be matched to requests
+  const reply = (response) => {
+    // Refusals are recorded whatever the action; other replies only for
+    // actions that change something
+    if (AUDITED_ACTIONS.has(action) || (response.type === 'error' && response.code)) {
+      auditResult(action, response, caller);
+    }
+    respond({ ...response, requestId: message.requestId });
+  };
+
+  // Unloading touches no files, so whatever is loaded can be unloaded, even
+  // after its root was removed
+  const unloadable = action === 'unload' &&
+    (loadedExtensions.has(message.path) || restartStates.has(message.path));
+  if (PATH_ACTIONS.has(action) && !unloadable) {
+    try {
+      message = { ...message, path: checkExtensionPath(message.path) };
+    } catch (error) {
+      rejectPath(reply, error);
+      return;
+    }
+  }
+
+  switch (action) {
+    case 'status':
+      reply({
+        type: 'status',
+        version: VERSION,
+        firefoxPath: getFirefoxPath(),
+        debuggerPort: config.debuggerPort,
+        extensionFolder: config.extensionFolder,
+        roots: getExtensionRoots(),
+        watching: !!folderWatcher,
+        loadedCount: loadedExtensions.size,
+        loadConcurrency: getLoadConcurrency(),
+        packOutputDir: getPackOutputDir(),
+        configVersion: CONFIG_VERSION,
+        configDiagnostics,
+        settings: getSharedSettings(),
+        loaded: Array.from(loadedExtensions, ([extPath, loaded]) => ({
+          path: extPath,
+          name: getExtensionName(extPath),
+          method: loaded.method,
+          autoReload: !!loaded.autoReload,
+          adopted: !!loaded.adopted
+        }))
+      });
+      break;
+
+    case 'scan':
+      const extensions = scanExtensionsFolder();
+      reply({
+        type: 'extensions_list',
+        extensions: extensions,
+        folder: config.extensionFolder,
+        roots: getExtensionRoots()
+      });
+      break;
 
     case 'set_folder':
-      config.extensionFolder = message.path;
+      // Everything in the folder becomes readable and loadable
+      if (message.confirmed !== true) {
+        reply({
+          type: 'error',
+          code: 'confirmation_required',
+          error: 'Changing the extensions folder needs confirmation',
+          path: message.path
+        });
+        break;
+      }
+      let folder;
+      try {
+        folder = resolveFolder(message.path);
+      } catch (error) {
+        rejectPath(reply, error);
+        break;
+      }
+      config.extensionFolder = folder;
       saveConfig();
-      sendMessage({
+      if (config.watchEnabled) {
+        startWatching();
+      }
+      reply({
         type: 'folder_set',
         success: true,
-        path: message.path
+        path: folder
       });
       // Auto-scan after setting folder
       const newExtensions = scanExtensionsFolder();
-      sendMessage({
+      reply({
         type: 'extensions_list',
         extensions: newExtensions,
+        folder: config.extensionFolder,
+        roots: getExtensionRoots()
+      });
+      break;
+
+    case 'set_roots':
+      if (message.confirmed !== true) {
+        reply({
+          type: 'error',
+          code: 'confirmation_required',
+          error: 'Changing the extension roots needs confirmation'
+        });
+        break;
+      }
+      if (message.scanDepth !== undefined) {
+        const [problem] = validateConfig({ version: CONFIG_VERSION, scanDepth: message.scanDepth }).diagnostics;
+        if (problem) {
+          reply({ type: 'error', code: problem.code, error: problem.message });
+          break;
+        }
+      }
+      let roots;
+      try {
+        roots = (message.roots || [])
+          .filter(root => typeof root === 'string' ? root : root && root.path)
+          .map(root => typeof root === 'string'
+            ? { path: resolveFolder(root) }
+            : { ...root, path: resolveFolder(root.path) });
+      } catch (error) {
+        rejectPath(reply, error);
+        break;
+      }
+      config.extensionRoots = roots;
+      if (message.scanDepth) {
+        config.scanDepth = message.scanDepth;
+      }
+      saveConfig();
+      if (config.watchEnabled) {
+        startWatching();
+      }
+      reply({
+        type: 'roots_set',
+        success: true,
+        roots: getExtensionRoots(),
+        scanDepth: config.scanDepth
+      });
+      reply({
+        type: 'extensions_list',
+        extensions: scanExtensionsFolder(),
+        folder: config.extensionFolder,
+        roots: getExtensionRoots()
+      });
+      break;
+
+    case 'watch_folder':
+      config.watchEnabled = !!message.enabled;
+      saveConfig();
+      if (config.watchEnabled) {
+        startWatching();
+      } else {
+        stopWatching();
+      }
+      reply({
+        type: 'watch_status',
+        enabled: config.watchEnabled,
+        watching: !!folderWatcher,
         folder: config.extensionFolder
       });
       break;
 
+    case 'set_settings':
+      const changes = { ...message.settings };
+      const notShared = Object.keys(changes).filter(key => !SHARED_SETTINGS.includes(key));
+      if (notShared.length > 0) {
+        reply({ type: 'error', code: 'invalid_setting', error: `Not a shared setting: ${notShared.join(', ')}` });
+        break;
+      }
+      const [settingProblem] = validateConfig({ version: CONFIG_VERSION, ...changes }).diagnostics;
+      if (settingProblem) {
+        reply({ type: 'error', code: settingProblem.code, error: settingProblem.message });
+        break;
+      }
+      // Same rules as set_folder: a new folder must exist and be confirmed
+      if (changes.extensionFolder && changes.extensionFolder !== config.extensionFolder) {
+        if (message.confirmed !== true) {
+          reply({
+            type: 'error',
+            code: 'confirmation_required',
+            error: 'Changing the extensions folder needs confirmation',
+            path: changes.extensionFolder
+          });
+          break;
+        }
+        try {
+          changes.extensionFolder = resolveFolder(changes.extensionFolder);
+        } catch (error) {
+          rejectPath(reply, error);
+          break;
+        }
+      }
+      Object.assign(config, changes);
+      saveConfig();
+      if ('watchEnabled' in changes || 'extensionFolder' in changes) {
+        if (config.watchEnabled) {
+          startWatching();
+        } else {
+          stopWatching();
+        }
+      }
+      reply({
+        type: 'settings',
+        success: true,
+        settings: getSharedSettings(),
+        watching: !!folderWatcher
+      });
+      if ('extensionFolder' in changes) {
+        reply({
+          type: 'extensions_list',
+          extensions: scanExtensionsFolder(),
+          folder: config.extensionFolder,
+          roots: getExtensionRoots()
+        });
+      }
+      break;
+
     case 'load':
       try {
-        const result = await loadExtensionViaRDP(message.path);
+        const result = await loadExtension(message.path, { caller });
         const manifest = JSON.parse(
           fs.readFileSync(path.join(message.path, 'manifest.json'), 'utf8')
         );
-        sendMessage({
+        reply({
           type: 'load_result',
           success: true,
           extensionName: manifest.name || path.basename(message.path),
@@ -400,94 +2825,366 @@ async function handleMessage(message) {
           ...result
         });
       } catch (error) {
-        sendMessage({
+        extensionLogs.append(message.path, 'rapunzel', `Load failed: ${error.message}`);
+        reply({
           type: 'load_result',
           success: false,
           error: error.message,
+          extensionName: path.basename(message.path || ''),
           path: message.path
         });
       }
       break;
 
     case 'load_all':
-      const allExtensions = scanExtensionsFolder();
-      const results = [];
-
-      for (const ext of allExtensions) {
-        try {
-          await loadExtensionViaRDP(ext.path);
-          results.push({ name: ext.name, success: true });
-        } catch (error) {
-          results.push({ name: ext.name, success: false, error: error.message });
-        }
-      }
+      reply(await loadAllExtensions(caller));
+      break;
 
-      sendMessage({
-        type: 'load_all_result',
-        results: results,
-        totalLoaded: results.filter(r => r.success).length,
-        totalFailed: results.filter(r => !r.success).length
+    case 'set_auto_reload':
+      setAutoReload(message.path, !!message.enabled);
+      reply({
+        type: 'auto_reload_set',
+        path: message.path,
+        enabled: isAutoReloadEnabled(message.path),
+        watching: !!(loadedExtensions.get(message.path) || {}).reloadWatcher
       });
       break;
 
+    case 'reload':
+      reply(await reloadExtension(message.path, [], caller));
+      break;
+
     case 'unload':
       const unloadResult = await unloadExtension(message.path);
-      sendMessage({
+      reply({
         type: 'unload_result',
         ...unloadResult,
+        extensionName: getExtensionName(message.path),
         path: message.path
       });
       break;
 
+    case 'list_workspaces':
+      const workspacesInfo = readWorkspaces();
+      reply({
+        type: 'workspaces_list',
+        file: workspacesInfo.file,
+        workspaces: workspacesInfo.workspaces,
+        error: workspacesInfo.error,
+        active: config.activeWorkspace
+      });
+      break;
+
+    case 'load_workspace':
+      reply(await loadWorkspace(message.name, caller));
+      break;
+
+    case 'unload_workspace':
+      reply(await unloadWorkspace(message.name));
+      break;
+
+    case 'get_logs':
+      reply({
+        type: 'logs',
+        lines: extensionLogs.get({ path: message.path, since: message.since, limit: message.limit }),
+        paths: extensionLogs.paths()
+      });
+      break;
+
+    case 'subscribe_logs':
+      setLogStreaming(!!message.enabled);
+      reply({
+        type: 'log_subscription',
+        enabled: !!logPush
+      });
+      break;
+
+    case 'clear_logs':
+      extensionLogs.clear(message.path);
+      reply({
+        type: 'logs_cleared',
+        path: message.path || null
+      });
+      break;
+
+    case 'list_loaders':
+      reply({
+        type: 'loaders_list',
+        loaders: listLoaders()
+      });
+      break;
+
+    case 'kill_stale_loaders':
+      const killed = killStaleLoaders();
+      reply({
+        type: 'stale_loaders_killed',
+        killed,
+        totalKilled: killed.filter(k => k.success).length
+      });
+      break;
+
+    case 'restore':
+      reply(await restoreExtensions(Array.isArray(message.extensions) ? message.extensions : [], caller));
+      break;
+
     case 'unload_all':
-      const unloadResults = [];
-      for (const [extPath] of loadedExtensions) {
-        const result = await unloadExtension(extPath);
-        unloadResults.push({ path: extPath, ...result });
+      reply(await unloadAllExtensions());
+      break;
+
+    case 'set_load_concurrency':
+      const concurrency = parseInt(message.concurrency, 10);
+      if (!(concurrency >= 1 && concurrency <= MAX_LOAD_CONCURRENCY)) {
+        reply({
+          type: 'error',
+          code: 'invalid_setting',
+          error: `Concurrency must be a number from 1 to ${MAX_LOAD_CONCURRENCY}`
+        });
+        break;
       }
-      sendMessage({
-        type: 'unload_all_result',
-        results: unloadResults
+      config.loadConcurrency = concurrency;
+      saveConfig();
+      reply({
+        type: 'load_concurrency_set',
+        success: true,
+        concurrency
+      });
+      break;
+
+    case 'pack':
+      reply(await packExtension(message.path, message.format, caller));
+      break;
+
+    case 'set_pack_output_dir':
+      const outputDir = typeof message.path === 'string' ? message.path.trim() : '';
+      if (outputDir && !path.isAbsolute(outputDir)) {
+        reply({
+          type: 'error',
+          code: 'invalid_path',
+          error: 'The package folder must be an absolute path',
+          path: outputDir
+        });
+        break;
+      }
+      config.packOutputDir = outputDir;
+      saveConfig();
+      reply({
+        type: 'pack_output_dir_set',
+        success: true,
+        outputDir: getPackOutputDir()
+      });
+      break;
+
+    case 'get_audit':
+      reply({
+        type: 'audit',
+        ...auditLog.read({ query: message.query, offset: message.offset, limit: message.limit })
       });
       break;
 
+    case 'cancel_batch':
+      // Normally answered by the message loop without waiting; see main()
+      reply(cancelBatch(message.batchId));
+      break;
+
     default:
-      sendMessage({
+      reply({
         type: 'error',
+        code: 'unknown_action',
         error: `Unknown action: ${action}`
       });
   }
 }
 
 /**
- * Main message loop
+ * Take in a message from the browser or a control socket client
+ * Messages are handled one at a time, in order, but pings and cancels are
+ * answered at once: they cannot wait for a long load to finish.
  */
-async function main() {
+function receiveMessage(message, respond = sendToBrowser, caller = 'browser') {
+  if (message.action === 'ping') {
+    respond({ type: 'pong', time: Date.now(), busy: pendingMessages > 0, requestId: message.requestId });
+    return;
+  }
+
+  // A cancel cannot wait for the batch it is meant to stop
+  if (message.action === 'cancel_batch') {
+    respond({ ...cancelBatch(message.batchId), requestId: message.requestId });
+    return;
+  }
+
+  pendingMessages++;
+  handling = handling
+    .then(() => handleMessage(message, respond, caller))
+    .catch(error => {
+      logError('Error processing message:', error);
+      if (AUDITED_ACTIONS.has(message.action)) {
+        audit(message.action, message.path, caller, { success: false, error: error.message });
+      }
+      respond({
+        type: 'error',
+        error: error.message,
+        requestId: message.requestId
+      });
+    })
+    .finally(() => {
+      pendingMessages--;
+    });
+}
+
+/**
+ * Take in a message from an authenticated control socket client
+ * The client gets the reply; the browser hears about the result too, so
+ * the popup shows what was loaded or unloaded from outside.
+ */
+function receiveControlMessage(message, client) {
+  receiveMessage(message, (reply) => {
+    client.send(reply);
+
+    if (!CONTROL_PRIVATE_REPLIES.has(reply.type)) {
+      // Without the client's request ID, which means nothing to the browser
+      const { requestId, ...result } = reply;
+      sendToBrowser({ ...result, source: 'control' });
+    }
+  }, 'control');
+}
+
+/**
+ * Read the config and take over loaders left by earlier helpers
+ */
+function initialize() {
   loadConfig();
+  adoptLoaders();
+}
 
-  // Handle messages in a loop
-  while (true) {
-    try {
-      const message = await readMessage();
+/**
+ * Wait for queued messages, then stop watchers and timers
+ * Loaders keep running; the next helper adopts them from the registry.
+ */
+async function shutdown() {
+  await handling;
+
+  controlStopped = true;
+  clearTimeout(controlRetryTimer);
+  if (controlServer) {
+    controlServer.close();
+    controlServer = null;
+  }
 
-      if (message === null) {
-        // End of input
-        break;
+  unwatchConfigFile();
+  stopWatching();
+  setLogStreaming(false);
+
+  for (const [extPath, loaded] of loadedExtensions) {
+    stopAutoReload(extPath);
+    clearInterval(loaded.pollTimer);
+    if (loaded.detachLogs) {
+      loaded.detachLogs();
+    }
+  }
+
+  // Temporary add-ons stay installed after the debugger connection closes
+  if (rdpClient) {
+    rdpClient.close();
+  }
+}
+
+/**
+ * Listen on the control socket, trying again later while another helper
+ * has it (listen() takes over a socket nobody answers on)
+ */
+async function startControlSocket(delay = CONTROL_RETRY_BASE_MS) {
+  controlRetryTimer = null;
+
+  const server = new ControlServer(receiveControlMessage);
+  let error = null;
+  try {
+    if (await server.listen()) {
+      if (controlStopped) {
+        server.close();
+        return;
       }
+      controlServer = server;
+      if (delay > CONTROL_RETRY_BASE_MS) {
+        logError('Control socket available');
+      }
+      return;
+    }
+  } catch (e) {
+    error = e;
+  }
 
-      await handleMessage(message);
+  if (controlStopped) return;
+  if (delay === CONTROL_RETRY_BASE_MS) {
+    logError('Control socket not available yet:', error ? error.message : 'another helper has it');
+  }
+  controlRetryTimer = setTimeout(() => {
+    startControlSocket(Math.min(delay * 2, CONTROL_RETRY_MAX_MS));
+  }, delay);
+  // Do not keep the helper alive just for this
+  controlRetryTimer.unref();
+}
+
+/**
+ * Send messages meant for the browser to a function instead of stdout,
+ * for running this helper's actions outside of Firefox
+ */
+function setMessageHandler(handler) {
+  messageHandler = handler;
+}
+
+/**
+ * Main message loop
+ */
+async function main() {
+  initialize();
+  watchConfigFile();
+
+  if (config.watchEnabled) {
+    startWatching();
+  }
+
+  await startControlSocket();
+
+  const reader = createMessageReader(process.stdin);
+
+  // Reading goes on while a message is handled, so heartbeat pings are
+  // answered even during a long load
+  while (true) {
+    let message = null;
+
+    try {
+      message = await reader.next();
     } catch (error) {
-      logError('Error processing message:', error);
-      sendMessage({
-        type: 'error',
-        error: error.message
-      });
+      logError('Error reading message:', error);
+      sendToBrowser({ type: 'error', error: error.message });
+      continue;
+    }
+
+    if (message === null) {
+      // End of input
+      break;
     }
+
+    receiveMessage(message);
   }
+
+  await shutdown();
 }
 
-// Start the application
-main().catch(error => {
-  logError('Fatal error:', error);
-  process.exit(1);
-});
+module.exports = {
+  initialize,
+  shutdown,
+  handleMessage,
+  receiveMessage,
+  setMessageHandler,
+  createMessageReader,
+  VERSION
+};
+
+// Start the application when run by Firefox, not when required
+if (require.main === module) {
+  main().catch(error => {
+    logError('Fatal error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Rapunzel - Path Guard
+ *
+ * The helper only reads, builds, watches and loads folders inside the
+ * extension roots the user configured. Every path that comes in with a
+ * request is checked here first. A rejected path throws a PathError whose
+ * `code` tells the caller why:
+ *
+ *   invalid_path        not a non-empty absolute path
+ *   path_not_found      does not exist
+ *   outside_roots       not inside any extension root
+ *   symlink_escape      inside a root, but a symbolic link leads out of it
+ *   not_a_directory     a folder was expected
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A path that a request may not use
+ */
+class PathError extends Error {
+  constructor(code, message, requestedPath) {
+    super(message);
+    this.name = 'PathError';
+    this.code = code;
+    this.path = requestedPath;
+  }
+}
+
+/**
+ * Check whether child is parent or inside it
+ */
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative === '' ||
+    (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolve symbolic links, or null if the path does not exist
+ */
+function realPath(target) {
+  try {
+    return fs.realpathSync(target);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a requested path against the extension roots
+ * Returns the normalized path, which is what the helper keys extensions by
+ * (links are not resolved, so it matches what a scan finds).
+ */
+function resolveInsideRoots(requestedPath, roots) {
+  if (typeof requestedPath !== 'string' || !requestedPath || !path.isAbsolute(requestedPath)) {
+    throw new PathError('invalid_path', `Not an absolute path: ${requestedPath}`, requestedPath);
+  }
+
+  const normalized = path.resolve(requestedPath);
+  if (!roots.some(root => isInside(root, normalized))) {
+    throw new PathError('outside_roots', `${normalized} is not inside any extension root`, normalized);
+  }
+
+  const real = realPath(normalized);
+  if (!real) {
+    throw new PathError('path_not_found', `${normalized} does not exist`, normalized);
+  }
+
+  // The target of a link must be inside a root too, compared with the
+  // roots' own resolved paths
+  const realRoots = roots.map(root => realPath(root)).filter(Boolean);
+  if (!realRoots.some(root => isInside(root, real))) {
+    throw new PathError('symlink_escape', `${normalized} links to ${real}, outside the extension roots`, normalized);
+  }
+
+  return normalized;
+}
+
+/**
+ * Check a folder the user wants to add as an extension root
+ * Returns its normalized path
+ */
+function resolveFolder(requestedPath) {
+  if (typeof requestedPath !== 'string' || !requestedPath || !path.isAbsolute(requestedPath)) {
+    throw new PathError('invalid_path', `Not an absolute path: ${requestedPath}`, requestedPath);
+  }
+
+  const normalized = path.resolve(requestedPath);
+  let stats;
+  try {
+    stats = fs.statSync(normalized);
+  } catch (error) {
+    throw new PathError('path_not_found', `${normalized} does not exist`, normalized);
+  }
+  if (!stats.isDirectory()) {
+    throw new PathError('not_a_directory', `${normalized} is not a folder`, normalized);
+  }
+  return normalized;
+}
+
+module.exports = {
+  PathError,
+  isInside,
+  resolveInsideRoots,
+  resolveFolder
+};
@@ -0,0 +1,138 @@
+/**
+ * Rapunzel - Loader Process Registry
+ *
+ * Firefox starts a new native host for every connection, so the host that
+ * spawned a web-ext process is often not the one asked to stop it. Every
+ * loader (and every add-on installed over the debugger protocol) is
+ * recorded in a JSON file that all hosts share:
+ *
+ *   { entries: [{ path, method, pid?, addonId?, loadPath, autoReload,
+ *                 startedAt, hostPid, logFiles?: { stdout, stderr } }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Check whether a process is still running
+ * On Linux the command line is checked too, so a reused PID is not
+ * mistaken for our loader.
+ */
+function isProcessAlive(pid, commandHint) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else: not ours
+    return false;
+  }
+
+  if (commandHint && os.platform() === 'linux') {
+    try {
+      const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+      return cmdline.includes(commandHint);
+    } catch (error) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Stop a loader process, along with the browser it started
+ * Loaders are spawned detached, which makes them process group leaders
+ */
+function killProcess(pid) {
+  if (os.platform() !== 'win32') {
+    try {
+      process.kill(-pid, 'SIGTERM');
+      return true;
+    } catch (error) {
+      // Not a group leader after all; fall back to the process itself
+    }
+  }
+
+  try {
+    process.kill(pid, 'SIGTERM');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Registry of running loaders, stored in a JSON file
+ */
+class ProcessRegistry {
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Read all entries (an unreadable file counts as empty)
+   */
+  list() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Replace all entries
+   * Written to a temporary file first so other hosts never read half a file
+   */
+  write(entries) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ entries }, null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  /**
+   * Record a loaded extension
+   */
+  add(entry) {
+    const entries = this.list().filter(e => !isSameLoader(e, entry));
+    entries.push({ ...entry, hostPid: process.pid });
+    this.write(entries);
+  }
+
+  /**
+   * Forget the entries of an extension; with an ID (PID or add-on ID),
+   * only the entry for that loader
+   */
+  remove(extensionPath, id) {
+    const entries = this.list();
+    const kept = entries.filter(e =>
+      e.path !== extensionPath || (id !== undefined && e.pid !== id && e.addonId !== id)
+    );
+    if (kept.length !== entries.length) {
+      this.write(kept);
+    }
+  }
+
+  /**
+   * Update an entry in place, e.g. after another host adopted it
+   */
+  update(entry, changes) {
+    const entries = this.list().map(e => isSameLoader(e, entry) ? { ...e, ...changes } : e);
+    this.write(entries);
+  }
+}
+
+/**
+ * Check whether two entries describe the same loader
+ */
+function isSameLoader(a, b) {
+  return a.path === b.path && a.method === b.method &&
+    (a.method === 'rdp' ? a.addonId === b.addonId : a.pid === b.pid);
+}
+
+module.exports = {
+  ProcessRegistry,
+  isProcessAlive,
+  killProcess
+};
@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+
+/**
+ * Rapunzel Command-Line Tool
+ *
+ * Drives Rapunzel from a terminal, an editor task or a git hook. When a
+ * helper started by Firefox is running, commands go to it through the
+ * control socket, so the popup stays in step. Otherwise they run in this
+ * process, with the same scan and load code as the helper.
+ */
+
+const path = require('path');
+const { ControlClient } = require('./control-socket');
+
+// How long the running helper gets to answer; loading and packing may
+// include a build
+const DEFAULT_TIMEOUT = 15000;
+const LONG_TIMEOUT = 10 * 60 * 1000;
+const LONG_ACTIONS = ['load', 'reload', 'load_all', 'unload_all', 'pack'];
+
+/**
+ * Connect to the running helper, or set up this process to act as one
+ * Returns { mode, request(message), close() }
+ */
+async function connect() {
+  try {
+    const client = await ControlClient.connect();
+    client.on('event', printEvent);
+    return {
+      mode: 'helper',
+      request: (message) => client.request(message,
+        LONG_ACTIONS.includes(message.action) ? LONG_TIMEOUT : DEFAULT_TIMEOUT),
+      close: async () => client.close()
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ECONNREFUSED') {
+      throw error;
+    }
+  }
+
+  // Required only now: loading it reads no config and starts nothing
+  const host = require('./native-host');
+  host.setMessageHandler(printEvent);
+  host.initialize();
+
+  return {
+    mode: 'standalone',
+    request: async (message) => {
+      // Some actions send more than one reply; the last is the answer
+      const replies = [];
+      await host.handleMessage(message, reply => replies.push(reply), 'cli');
+      return replies[replies.length - 1];
+    },
+    close: () => host.shutdown()
+  };
+}
+
+/**
+ * Show progress the helper would send to the browser
+ */
+function printEvent(message) {
+  if (message.type === 'build_output') {
+    for (const line of message.lines) {
+      console.error(`  | ${line}`);
+    }
+  } else if (message.type === 'build_started') {
+    console.error(`Building: ${message.command}`);
+  }
+}
+
+/**
+ * Turn an error reply into an exception
+ */
+function check(reply) {
+  if (!reply) {
+    throw new Error('No reply from the helper');
+  }
+  if (reply.type === 'error') {
+    throw new Error(reply.error);
+  }
+  return reply;
+}
+
+/**
+ * Find one extension by path, folder or name (case-insensitive)
+ * kind names what is searched, for the error message
+ */
+function findExtension(extensions, query, kind = 'extension') {
+  const resolved = path.resolve(query);
+  const byPath = extensions.filter(ext => ext.path === resolved || ext.path === query);
+  if (byPath.length > 0) {
+    return byPath[0];
+  }
+
+  const lower = query.toLowerCase();
+  const matches = extensions.filter(ext =>
+    (ext.folder || '').toLowerCase() === lower || (ext.name || '').toLowerCase() === lower
+  );
+
+  if (matches.length === 0) {
+    throw new Error(`No ${kind} matches "${query}"`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`"${query}" matches several extensions:\n` +
+      matches.map(ext => `  ${ext.name}  ${ext.path}`).join('\n'));
+  }
+  return matches[0];
+}
+
+/**
+ * Scan the extension roots
+ */
+async function scan(helper) {
+  return check(await helper.request({ action: 'scan' })).extensions;
+}
+
+/**
+ * rapunzel list
+ */
+async function list(helper, args, options) {
+  const extensions = await scan(helper);
+  const status = check(await helper.request({ action: 'status' }));
+  const loaded = new Set(status.loaded.map(ext => ext.path));
+
+  if (options.json) {
+    return extensions.map(ext => ({ ...ext, loaded: loaded.has(ext.path) }));
+  }
+
+  if (extensions.length === 0) {
+    console.log('No extensions found. Set the extensions folder in the Rapunzel options page.');
+  }
+  for (const ext of extensions) {
+    const tags = [];
+    if (loaded.has(ext.path)) tags.push('loaded');
+    if (ext.valid === false) tags.push('invalid');
+    if (ext.settings && !ext.settings.enabled) tags.push('disabled');
+
+    console.log(`${ext.name} ${ext.version}${tags.length > 0 ? ` [${tags.join(', ')}]` : ''}`);
+    console.log(`  ${ext.path}`);
+  }
+  return true;
+}
+
+/**
+ * rapunzel status
+ */
+async function status(helper, args, options) {
+  const reply = check(await helper.request({ action: 'status' }));
+  if (options.json) {
+    return { ...reply, mode: helper.mode };
+  }
+
+  console.log(helper.mode === 'helper'
+    ? 'Helper:         running (commands go to the helper Firefox started)'
+    : 'Helper:         not running (commands run in this process)');
+  console.log(`Version:        ${reply.version}`);
+  console.log(`Firefox:        ${reply.firefoxPath || '(not found)'}`);
+  console.log(`Debugger port:  ${reply.debuggerPort}`);
+  console.log(`Roots:          ${reply.roots.map(root => root.path).join(', ') || '(none)'}`);
+  console.log(`Loaded:         ${reply.loaded.length}`);
+  for (const ext of reply.loaded) {
+    console.log(`  ${ext.name} (${ext.method}${ext.autoReload ? ', auto-reload' : ''})  ${ext.path}`);
+  }
+  return true;
+}
+
+/**
+ * rapunzel load <extension>
+ */
+async function load(helper, args, options) {
+  const ext = findExtension(await scan(helper), requireArgument(args, 'extension'));
+  const reply = check(await helper.request({ action: 'load', path: ext.path }));
+  if (options.json) {
+    return reply;
+  }
+
+  if (!reply.success) {
+    console.error(`Could not load ${ext.name}: ${reply.error}`);
+    return false;
+  }
+  console.log(`Loaded ${reply.extensionName} (${reply.method})`);
+  return true;
+}
+
+/**
+ * rapunzel reload <extension>
+ */
+async function reload(helper, args, options) {
+  const status = check(await helper.request({ action: 'status' }));
+  const ext = findExtension(status.loaded, requireArgument(args, 'extension'), 'loaded extension');
+  const reply = check(await helper.request({ action: 'reload', path: ext.path }));
+  if (options.json) {
+    return reply;
+  }
+
+  if (!reply.success) {
+    console.error(`Could not reload ${ext.name}: ${reply.error}`);
+    return false;
+  }
+  console.log(`Reloaded ${reply.extensionName} (${reply.duration} ms)`);
+  return true;
+}
+
+/**
+ * rapunzel unload <extension>
+ */
+async function unload(helper, args, options) {
+  const status = check(await helper.request({ action: 'status' }));
+  const ext = findExtension(status.loaded, requireArgument(args, 'extension'), 'loaded extension');
+  const reply = check(await helper.request({ action: 'unload', path: ext.path }));
+  if (options.json) {
+    return reply;
+  }
+
+  if (!reply.success) {
+    console.error(`Could not unload ${ext.name}: ${reply.error}`);
+    return false;
+  }
+  console.log(`Unloaded ${ext.name}`);
+  return true;
+}
+
+/**
+ * rapunzel load-all / unload-all
+ */
+function batch(action) {
+  return async (helper, args, options) => {
+    const reply = check(await helper.request({ action }));
+    if (options.json) {
+      return reply;
+    }
+
+    for (const result of reply.results) {
+      const outcome = result.success ? 'ok' : result.cancelled ? 'cancelled' : `failed: ${result.error}`;
+      console.log(`${result.name}: ${outcome}`);
+    }
+    const done = action === 'load_all' ? reply.totalLoaded : reply.totalUnloaded;
+    console.log(`${action === 'load_all' ? 'Loaded' : 'Unloaded'} ${done}, failed ${reply.totalFailed}` +
+      (reply.totalCancelled ? `, cancelled ${reply.totalCancelled}` : ''));
+    return reply.totalFailed === 0;
+  };
+}
+
+/**
+ * rapunzel pack <extension> [--zip]
+ */
+async function pack(helper, args, options) {
+  const ext = findExtension(await scan(helper), requireArgument(args, 'extension'));
+  const reply = check(await helper.request({
+    action: 'pack',
+    path: ext.path,
+    format: options.zip ? 'zip' : 'xpi'
+  }));
+  if (options.json) {
+    return reply;
+  }
+
+  if (!reply.success) {
+    console.error(`Could not pack ${ext.name}: ${reply.error}`);
+    return false;
+  }
+  console.log(reply.file);
+  console.log(`  ${reply.files} file(s), ${reply.size} bytes`);
+  console.log(`  sha256 ${reply.sha256}`);
+  return true;
+}
+
+/**
+ * Get a required positional argument
+ */
+function requireArgument(args, name) {
+  if (!args[0]) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return args[0];
+}
+
+/**
+ * Wrong command-line usage; shows the help
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const COMMANDS = {
+  list,
+  status,
+  load,
+  reload,
+  unload,
+  'load-all': batch('load_all'),
+  'unload-all': batch('unload_all'),
+  pack
+};
+
+/**
+ * Show usage
+ */
+function printUsage() {
+  console.log('Rapunzel - load temporary Firefox extensions');
+  console.log('');
+  console.log('Usage: rapunzel <command> [options]');
+  console.log('');
+  console.log('Commands:');
+  console.log('  list                  List extensions in the extension roots');
+  console.log('  status                Show the helper, Firefox and loaded extensions');
+  console.log('  load <extension>      Load an extension (by name, folder or path)');
+  console.log('  reload <extension>    Reload a loaded extension (rebuilding it first)');
+  console.log('  unload <extension>    Unload a loaded extension');
+  console.log('  load-all              Load every enabled extension');
+  console.log('  unload-all            Unload every loaded extension');
+  console.log('  pack <extension>      Pack an extension into an .xpi (--zip for .zip)');
+  console.log('');
+  console.log('Options:');
+  console.log('  --json                Print the helper\'s reply as JSON');
+}
+
+/**
+ * Run the command line; resolves with the exit code
+ */
+async function run(argv) {
+  const options = {};
+  const args = [];
+  for (const arg of argv) {
+    if (arg === '--json') options.json = true;
+    else if (arg === '--zip') options.zip = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else args.push(arg);
+  }
+
+  const command = COMMANDS[args[0]];
+  if (!command || options.help) {
+    printUsage();
+    return args[0] && !options.help ? 2 : 0;
+  }
+
+  let helper;
+  try {
+    helper = await connect();
+    const result = await command(helper, args.slice(1), options);
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return result.success === false ? 1 : 0;
+    }
+    return result ? 0 : 1;
+  } catch (error) {
+    console.error(`rapunzel: ${error.message}`);
+    if (error instanceof UsageError) {
+      printUsage();
+      return 2;
+    }
+    return 1;
+  } finally {
+    if (helper) {
+      await helper.close();
+    }
+  }
+}
+
+// Loaders started here are left for the helper to adopt; exit even if
+// something still holds the event loop, once output is written
+run(process.argv.slice(2)).then(code => {
+  process.stdout.write('', () => process.exit(code));
+});
@@ -0,0 +1,367 @@
+/**
+ * Rapunzel - Firefox Remote Debugging Protocol Client
+ *
+ * Minimal RDP client used to install temporary add-ons into a running
+ * Firefox that was started with --start-debugger-server.
+ *
+ * Packets on the wire are `<byte length>:<JSON>`. Each actor answers its
+ * requests in order, so pending requests are queued per actor. A request
+ * that times out closes the connection: its reply could still arrive and
+ * would be taken for the reply to the next one.
+ */
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 6000;
+const DEFAULT_TIMEOUT = 10000;
+
+// Packets that actors send without being asked
+const UNSOLICITED_EVENTS = new Set([
+  'tabNavigated',
+  'tabListChanged',
+  'addonListChanged',
+  'workerListChanged',
+  'serviceWorkerRegistrationListChanged',
+  'processListChanged',
+  'descriptor-destroyed',
+  'frameUpdate',
+  'forwardingCancelled',
+  'consoleAPICall',
+  'pageError',
+  'logMessage'
+]);
+
+/**
+ * Error reported by the debugger server (or the connection to it)
+ */
+class RDPError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = 'RDPError';
+    this.code = code;
+  }
+}
+
+/**
+ * RDP connection to a single Firefox debugger server
+ */
+class RDPClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.host = options.host || DEFAULT_HOST;
+    this.port = options.port || DEFAULT_PORT;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = new Map();
+    this.connected = false;
+    this.rootForm = null;
+  }
+
+  /**
+   * Open the TCP connection and wait for the root greeting
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        reject(error);
+      };
+
+      const timer = setTimeout(() => {
+        fail(new RDPError('timeout', `No greeting from debugger server at ${this.host}:${this.port}`));
+      }, this.timeout);
+
+      // The greeting is the first packet from root; it is not a reply
+      this.pending.set('root', [{
+        resolve: (greeting) => {
+          clearTimeout(timer);
+          settled = true;
+          this.connected = true;
+          this.emit('connected', greeting);
+          resolve(greeting);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          fail(error);
+        }
+      }]);
+
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        if (!settled) {
+          fail(new RDPError(error.code || 'connectionError',
+            `Cannot reach debugger server at ${this.host}:${this.port}: ${error.message}`));
+        }
+        this.onClose(error);
+      });
+      socket.on('close', () => this.onClose());
+
+      this.socket = socket;
+    });
+  }
+
+  /**
+   * Parse as many complete packets as the buffer holds
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length > 0) {
+      const separator = this.buffer.indexOf(':');
+      if (separator === -1) {
+        return;
+      }
+
+      const header = this.buffer.toString('ascii', 0, separator);
+      if (!/^\d+$/.test(header)) {
+        // Bulk packets and garbage are not supported
+        const socket = this.socket;
+        this.onClose(new RDPError('badPacket', `Unsupported packet header: ${header.slice(0, 40)}`));
+        socket.destroy();
+        return;
+      }
+
+      const length = parseInt(header, 10);
+      const start = separator + 1;
+      if (this.buffer.length < start + length) {
+        return;
+      }
+
+      const body = this.buffer.toString('utf8', start, start + length);
+      this.buffer = this.buffer.slice(start + length);
+
+      let packet;
+      try {
+        packet = JSON.parse(body);
+      } catch (e) {
+        this.emit('protocolError', new RDPError('badPacket', 'Invalid JSON packet: ' + e.message));
+        continue;
+      }
+
+      this.onPacket(packet);
+    }
+  }
+
+  /**
+   * Route a packet to the oldest pending request of its actor
+   */
+  onPacket(packet) {
+    if (packet.type && UNSOLICITED_EVENTS.has(packet.type)) {
+      this.emit('event', packet);
+      return;
+    }
+
+    const queue = this.pending.get(packet.from);
+    if (!queue || queue.length === 0) {
+      this.emit('event', packet);
+      return;
+    }
+
+    const request = queue.shift();
+    if (queue.length === 0) {
+      this.pending.delete(packet.from);
+    }
+
+    if (packet.error) {
+      request.reject(new RDPError(packet.error, packet.message));
+    } else {
+      request.resolve(packet);
+    }
+  }
+
+  /**
+   * Reject everything still waiting once the socket is gone
+   */
+  onClose(error) {
+    const wasConnected = this.connected;
+    this.connected = false;
+
+    for (const queue of this.pending.values()) {
+      for (const request of queue) {
+        request.reject(error || new RDPError('connectionClosed', 'Debugger connection closed'));
+      }
+    }
+    this.pending.clear();
+    this.buffer = Buffer.alloc(0);
+    this.socket = null;
+    this.rootForm = null;
+
+    if (wasConnected) {
+      this.emit('close', error);
+    }
+  }
+
+  /**
+   * Send a request to an actor and wait for its reply
+   */
+  request(to, type, params = {}) {
+    if (!this.connected || !this.socket) {
+      return Promise.reject(new RDPError('notConnected', 'Not connected to debugger server'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        resolve: (packet) => { clearTimeout(timer); resolve(packet); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      };
+
+      const timer = setTimeout(() => {
+        const queue = this.pending.get(to);
+        queue.splice(queue.indexOf(request), 1);
+        if (queue.length === 0) {
+          this.pending.delete(to);
+        }
+        reject(new RDPError('timeout', `Request ${type} to ${to} timed out`));
+
+        const socket = this.socket;
+        this.onClose(new RDPError('connectionClosed', `Debugger connection closed after ${type} to ${to} timed out`));
+        if (socket) {
+          socket.destroy();
+        }
+      }, this.timeout);
+
+      const queue = this.pending.get(to) || [];
+      queue.push(request);
+      this.pending.set(to, queue);
+
+      const body = Buffer.from(JSON.stringify({ to, type, ...params }), 'utf8');
+      this.socket.write(`${body.length}:`);
+      this.socket.write(body);
+    });
+  }
+
+  /**
+   * Fetch (and cache) the root actor form
+   */
+  async getRoot() {
+    if (!this.rootForm) {
+      this.rootForm = await this.request('root', 'getRoot');
+    }
+    return this.rootForm;
+  }
+
+  /**
+   * Get the actor ID of the addons actor
+   */
+  async getAddonsActor() {
+    const root = await this.getRoot();
+    if (!root.addonsActor) {
+      throw new RDPError('noAddonsActor', 'This Firefox does not expose an addons actor');
+    }
+    return root.addonsActor;
+  }
+
+  /**
+   * Install a folder as a temporary add-on, returns { id, actor }
+   */
+  async installTemporaryAddon(addonPath) {
+    const addonsActor = await this.getAddonsActor();
+    const reply = await this.request(addonsActor, 'installTemporaryAddon', {
+      addonPath,
+      openDevTools: false
+    });
+
+    if (!reply.addon || !reply.addon.id) {
+      throw new RDPError('installFailed', 'Debugger server did not return an add-on ID');
+    }
+    return reply.addon;
+  }
+
+  /**
+   * List installed add-ons
+   */
+  async listAddons() {
+    const reply = await this.request('root', 'listAddons');
+    return reply.addons || [];
+  }
+
+  /**
+   * Reload an installed temporary add-on by ID
+   */
+  async reloadAddon(addonId) {
+    const addons = await this.listAddons();
+    const addon = addons.find(a => a.id === addonId);
+    if (!addon) {
+      throw new RDPError('noSuchAddon', `Add-on ${addonId} is not installed`);
+    }
+    await this.request(addon.actor, 'reload');
+    return addon;
+  }
+
+  /**
+   * Start receiving console messages and errors of an installed add-on
+   * Returns the console actor ID; messages arrive as 'event' packets from it
+   */
+  async watchAddonConsole(addonId) {
+    const addons = await this.listAddons();
+    const addon = addons.find(a => a.id === addonId);
+    if (!addon) {
+      throw new RDPError('noSuchAddon', `Add-on ${addonId} is not installed`);
+    }
+
+    const reply = await this.request(addon.actor, 'getTarget');
+    const target = reply.form || reply.frame || reply;
+    if (!target.consoleActor) {
+      throw new RDPError('noConsoleActor', `Add-on ${addonId} has no console actor`);
+    }
+
+    await this.request(target.consoleActor, 'startListeners', {
+      listeners: ['PageError', 'ConsoleAPI']
+    });
+    return target.consoleActor;
+  }
+
+  /**
+   * Uninstall an add-on by ID
+   */
+  async uninstallAddon(addonId) {
+    const addonsActor = await this.getAddonsActor();
+    await this.request(addonsActor, 'uninstallAddon', { addonId });
+  }
+
+  /**
+   * Set a Firefox preference through the preference actor
+   */
+  async setPref(name, value) {
+    const root = await this.getRoot();
+    if (!root.preferenceActor) {
+      throw new RDPError('noPreferenceActor', 'This Firefox does not expose a preference actor');
+    }
+
+    let type = 'setCharPref';
+    if (typeof value === 'boolean') {
+      type = 'setBoolPref';
+    } else if (Number.isInteger(value)) {
+      type = 'setIntPref';
+    }
+    await this.request(root.preferenceActor, type, { name, value: type === 'setCharPref' ? String(value) : value });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+    this.connected = false;
+    this.rootForm = null;
+  }
+}
+
+module.exports = {
+  RDPClient,
+  RDPError,
+  DEFAULT_PORT
+};
@@ -0,0 +1,89 @@
+/**
+ * Rapunzel - Batch scheduler tests
+ *
+ * The items' run() calls are recorded and finished by the tests, so the
+ * order things start in can be checked at every step.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runBatch } = require('../batch-scheduler');
+
+/**
+ * Build an item with the defaults the helper gives one
+ */
+function item(id, priority = 0, dependsOn = []) {
+  return { id, name: id, priority, dependsOn };
+}
+
+/**
+ * Run a batch whose items finish after a short delay
+ * failing: IDs of items that fail
+ * Resolves with { started, skipped, maxRunning }
+ */
+async function runRecorded(items, { concurrency = 1, failing = [] } = {}) {
+  const started = [];
+  const skipped = {};
+  let running = 0;
+  let maxRunning = 0;
+
+  await runBatch(items, {
+    concurrency,
+    run: (entry) => {
+      started.push(entry.id);
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          running--;
+          resolve(!failing.includes(entry.id));
+        }, 5);
+      });
+    },
+    skip: (entry, reason) => {
+      skipped[entry.id] = reason;
+    }
+  });
+
+  return { started, skipped, maxRunning };
+}
+
+test('items start in order of priority', async () => {
+  const { started, skipped } = await runRecorded([
+    item('low', 0),
+    item('high', 5),
+    item('middle', 1)
+  ]);
+  assert.deepStrictEqual(started, ['high', 'middle', 'low']);
+  assert.deepStrictEqual(skipped, {});
+});
+
+test('a dependency runs before its dependent, whatever its own priority', async () => {
+  const { started } = await runRecorded([
+    item('other', 3),
+    item('app', 5, ['library']),
+    item('library', 0)
+  ], { concurrency: 4 });
+  // The library is as urgent as the app, so it goes ahead of the other item
+  assert.deepStrictEqual(started, ['library', 'app', 'other']);
+});
+
+test('an item whose dependency failed is skipped', async () => {
+  const { started, skipped } = await runRecorded([
+    item('app', 0, ['library']),
+    item('library', 0),
+    item('other', 0)
+  ], { failing: ['library'] });
+  assert.deepStrictEqual(started, ['library', 'other']);
+  assert.deepStrictEqual(skipped, { app: { error: 'Dependency library did not load' } });
+});
+
+test('no more items run at once than the concurrency allows', async () => {
+  const items = [];
+  for (let i = 0; i < 10; i++) {
+    items.push(item(`ext${i}`));
+  }
+  const { started, maxRunning } = await runRecorded(items, { concurrency: 3 });
+  assert.strictEqual(started.length, 10);
+  assert.strictEqual(maxRunning, 3);
+});
@@ -0,0 +1,83 @@
+/**
+ * Rapunzel - Config store tests
+ *
+ * Each test writes its config.json into a fresh temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readConfig, writeConfig, createDefaultConfig, ConfigError, CONFIG_VERSION } = require('../config-store');
+
+/**
+ * Create a temporary directory for one config.json
+ * Returns { file, remove() }
+ */
+function createConfigDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapunzel-config-'));
+  return {
+    file: path.join(dir, 'config.json'),
+    remove: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+test('a config from before versions is migrated as it is read', () => {
+  const dir = createConfigDir();
+  try {
+    fs.writeFileSync(dir.file, JSON.stringify({
+      extensionFolder: '/home/me/extensions/ext',
+      extensionRoots: ['/home/me/extensions', { path: '/home/me/work' }],
+      autoStart: true,
+      scanDepth: 2
+    }));
+
+    const result = readConfig(dir.file);
+    assert.strictEqual(result.migratedFrom, 1);
+    assert.deepStrictEqual(result.diagnostics, []);
+    assert.strictEqual(result.config.version, CONFIG_VERSION);
+    assert.strictEqual('autoStart' in result.config, false);
+    assert.deepStrictEqual(result.config.extensionRoots, [
+      { path: '/home/me/extensions' },
+      { path: '/home/me/work' }
+    ]);
+    assert.strictEqual(result.config.scanDepth, 2);
+    // Keys the file did not have keep their defaults
+    assert.strictEqual(result.config.loadConcurrency, createDefaultConfig().loadConcurrency);
+  } finally {
+    dir.remove();
+  }
+});
+
+test('a config written by a newer version is not overwritten', () => {
+  const dir = createConfigDir();
+  try {
+    const newer = JSON.stringify({ version: CONFIG_VERSION + 1, futureSetting: true });
+    fs.writeFileSync(dir.file, newer);
+
+    assert.throws(() => writeConfig(dir.file, createDefaultConfig()), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.strictEqual(error.code, 'newer_version');
+      return true;
+    });
+    assert.strictEqual(fs.readFileSync(dir.file, 'utf8'), newer);
+    assert.strictEqual(fs.existsSync(`${dir.file}.bak`), false);
+  } finally {
+    dir.remove();
+  }
+});
+
+test('writing keeps the config it replaces as a backup', () => {
+  const dir = createConfigDir();
+  try {
+    const first = { ...createDefaultConfig(), scanDepth: 1 };
+    writeConfig(dir.file, first);
+    writeConfig(dir.file, { ...first, scanDepth: 5 });
+
+    assert.strictEqual(readConfig(dir.file).config.scanDepth, 5);
+    assert.strictEqual(JSON.parse(fs.readFileSync(`${dir.file}.bak`, 'utf8')).scanDepth, 1);
+  } finally {
+    dir.remove();
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * Rapunzel - Native messaging frame tests
+ *
+ * Feeds createMessageReader through a PassThrough stream, split and joined
+ * the ways stdin can deliver it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { createMessageReader } = require('../native-host');
+
+const MAX_INPUT_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Encode a message the way the browser sends it
+ */
+function frame(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+test('a frame split across chunks is read once it is complete', async () => {
+  const stream = new PassThrough();
+  const reader = createMessageReader(stream);
+  const bytes = frame({ action: 'ping', text: 'héllo' });
+
+  const next = reader.next();
+  // Split inside the header, then inside the body
+  stream.write(bytes.subarray(0, 2));
+  stream.write(bytes.subarray(2, 7));
+  stream.write(bytes.subarray(7));
+
+  assert.deepStrictEqual(await next, { action: 'ping', text: 'héllo' });
+});
+
+test('several frames in one chunk are read in order', async () => {
+  const stream = new PassThrough();
+  const reader = createMessageReader(stream);
+  const third = frame({ id: 3 });
+
+  stream.write(Buffer.concat([frame({ id: 1 }), frame({ id: 2 }), third.subarray(0, 5)]));
+  assert.deepStrictEqual(await reader.next(), { id: 1 });
+  assert.deepStrictEqual(await reader.next(), { id: 2 });
+
+  stream.write(third.subarray(5));
+  assert.deepStrictEqual(await reader.next(), { id: 3 });
+
+  stream.end();
+  assert.strictEqual(await reader.next(), null);
+});
+
+test('an oversized frame is refused and skipped', async () => {
+  const stream = new PassThrough();
+  const reader = createMessageReader(stream);
+  const length = MAX_INPUT_SIZE + 1;
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(length, 0);
+
+  stream.write(header);
+  await assert.rejects(reader.next(), /exceeds the \d+ byte limit/);
+
+  // The body arrives in pieces and is dropped; the frame after it is read
+  const body = Buffer.alloc(length, 0x61);
+  stream.write(body.subarray(0, 1000));
+  stream.write(Buffer.concat([body.subarray(1000), frame({ action: 'ping' })]));
+  assert.deepStrictEqual(await reader.next(), { action: 'ping' });
+});
@@ -0,0 +1,77 @@
+/**
+ * Rapunzel - Path guard tests
+ *
+ * Builds a root and a folder beside it in a temporary directory, and checks
+ * which paths the guard lets through.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveInsideRoots, PathError } = require('../path-guard');
+
+/**
+ * Create <tmp>/root/ext and <tmp>/outside/ext
+ * Returns { base, root, outside, remove() }
+ */
+function createTree() {
+  const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'rapunzel-guard-')));
+  const root = path.join(base, 'root');
+  const outside = path.join(base, 'outside');
+  fs.mkdirSync(path.join(root, 'ext'), { recursive: true });
+  fs.mkdirSync(path.join(outside, 'ext'), { recursive: true });
+  return {
+    base,
+    root,
+    outside,
+    remove: () => fs.rmSync(base, { recursive: true, force: true })
+  };
+}
+
+test('a folder inside a root is accepted', () => {
+  const tree = createTree();
+  try {
+    const resolved = resolveInsideRoots(path.join(tree.root, 'ext', '..', 'ext'), [tree.root]);
+    assert.strictEqual(resolved, path.join(tree.root, 'ext'));
+  } finally {
+    tree.remove();
+  }
+});
+
+test('a folder outside every root is refused with outside_roots', () => {
+  const tree = createTree();
+  try {
+    assert.throws(() => resolveInsideRoots(path.join(tree.outside, 'ext'), [tree.root]), (error) => {
+      assert.ok(error instanceof PathError);
+      assert.strictEqual(error.code, 'outside_roots');
+      return true;
+    });
+    // Climbing out of a root with .. is the same thing
+    assert.throws(() => resolveInsideRoots(path.join(tree.root, '..', 'outside', 'ext'), [tree.root]),
+      { code: 'outside_roots' });
+  } finally {
+    tree.remove();
+  }
+});
+
+test('a link inside a root that points outside is refused with symlink_escape', () => {
+  const tree = createTree();
+  try {
+    const link = path.join(tree.root, 'escape');
+    fs.symlinkSync(path.join(tree.outside, 'ext'), link, 'dir');
+    assert.throws(() => resolveInsideRoots(link, [tree.root]), (error) => {
+      assert.ok(error instanceof PathError);
+      assert.strictEqual(error.code, 'symlink_escape');
+      return true;
+    });
+
+    // A link that stays inside the roots is fine
+    const inner = path.join(tree.root, 'inner');
+    fs.symlinkSync(path.join(tree.root, 'ext'), inner, 'dir');
+    assert.strictEqual(resolveInsideRoots(inner, [tree.root]), inner);
+  } finally {
+    tree.remove();
+  }
+});
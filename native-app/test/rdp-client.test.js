@@ -0,0 +1,157 @@
+/**
+ * Rapunzel - RDP client tests
+ *
+ * Runs the client against a mock debugger server on a local port. The mock
+ * greets like Firefox and answers each packet with whatever the test's
+ * handler returns (nothing leaves the request unanswered).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { RDPClient, RDPError } = require('../rdp-client');
+
+const GREETING = { from: 'root', applicationType: 'browser', traits: {} };
+const ROOT_FORM = { from: 'root', addonsActor: 'addons1', preferenceActor: 'prefs1' };
+
+/**
+ * Write one packet in the RDP wire format
+ */
+function sendPacket(socket, packet) {
+  const body = Buffer.from(JSON.stringify(packet), 'utf8');
+  socket.write(`${body.length}:`);
+  socket.write(body);
+}
+
+/**
+ * Start a mock debugger server
+ * handler(packet) returns the reply packet, or nothing to stay silent.
+ * Resolves with { port, received, close() }
+ */
+function startMockServer(handler) {
+  const received = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    sendPacket(socket, GREETING);
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        const separator = buffer.indexOf(':');
+        if (separator === -1) return;
+        const length = parseInt(buffer.toString('ascii', 0, separator), 10);
+        if (buffer.length < separator + 1 + length) return;
+
+        const packet = JSON.parse(buffer.toString('utf8', separator + 1, separator + 1 + length));
+        buffer = buffer.slice(separator + 1 + length);
+        received.push(packet);
+
+        const reply = packet.to === 'root' && packet.type === 'getRoot' ? ROOT_FORM : handler(packet);
+        if (reply) {
+          sendPacket(socket, reply);
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        received,
+        close: () => new Promise((done) => {
+          for (const socket of sockets) {
+            socket.destroy();
+          }
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+test('connect resolves with the root greeting', async () => {
+  const server = await startMockServer(() => null);
+  const client = new RDPClient({ port: server.port });
+  try {
+    const greeting = await client.connect();
+    assert.strictEqual(greeting.applicationType, 'browser');
+    assert.strictEqual(client.connected, true);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('installTemporaryAddon goes through the addons actor and returns the add-on', async () => {
+  const server = await startMockServer((packet) => {
+    if (packet.to === 'addons1' && packet.type === 'installTemporaryAddon') {
+      return { from: 'addons1', addon: { id: 'ext@test', actor: false } };
+    }
+    return null;
+  });
+  const client = new RDPClient({ port: server.port });
+  try {
+    await client.connect();
+    const addon = await client.installTemporaryAddon('/home/me/extensions/ext');
+    assert.strictEqual(addon.id, 'ext@test');
+
+    const install = server.received.find(packet => packet.type === 'installTemporaryAddon');
+    assert.strictEqual(install.addonPath, '/home/me/extensions/ext');
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('an error reply rejects with its code and message', async () => {
+  const server = await startMockServer((packet) => {
+    if (packet.type === 'installTemporaryAddon') {
+      return { from: 'addons1', error: 'installError', message: 'manifest.json is not valid' };
+    }
+    return null;
+  });
+  const client = new RDPClient({ port: server.port });
+  try {
+    await client.connect();
+    await assert.rejects(client.installTemporaryAddon('/home/me/extensions/broken'), (error) => {
+      assert.ok(error instanceof RDPError);
+      assert.strictEqual(error.code, 'installError');
+      assert.strictEqual(error.message, 'manifest.json is not valid');
+      return true;
+    });
+    // The connection stays usable
+    assert.strictEqual(client.connected, true);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('a request that times out closes the connection', async () => {
+  const server = await startMockServer(() => null);
+  const client = new RDPClient({ port: server.port, timeout: 200 });
+  let closed = false;
+  client.on('close', () => { closed = true; });
+  try {
+    await client.connect();
+    const install = client.request('addons1', 'installTemporaryAddon', { addonPath: '/x' });
+    const waiting = client.request('other1', 'ping');
+    await assert.rejects(install, { code: 'timeout' });
+
+    // Nothing is left waiting for a reply that could arrive late
+    await assert.rejects(waiting, { code: 'connectionClosed' });
+    assert.strictEqual(client.connected, false);
+    assert.strictEqual(client.pending.size, 0);
+    assert.strictEqual(closed, true);
+    await assert.rejects(client.request('root', 'listAddons'), { code: 'notConnected' });
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
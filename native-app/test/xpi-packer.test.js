@@ -0,0 +1,97 @@
+/**
+ * Rapunzel - Packer tests
+ *
+ * Packs small extensions built in a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { packFolder } = require('../xpi-packer');
+
+const FILES = {
+  'manifest.json': '{ "manifest_version": 2, "name": "Test", "version": "1.0" }',
+  'background.js': 'console.log("background");\n',
+  'icons/icon.svg': '<svg xmlns="http://www.w3.org/2000/svg"/>\n',
+  'popup/popup.html': '<!DOCTYPE html>\n<p>Popup</p>\n'
+};
+
+/**
+ * Write files into a folder, in the order given
+ */
+function writeFiles(folder, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(folder, ...name.split('/'));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+}
+
+/**
+ * List the entry names in the central directory of a zip
+ */
+function zipEntries(archive) {
+  const names = [];
+  let offset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(offset + 10);
+  offset = archive.readUInt32LE(offset + 16);
+  for (let i = 0; i < count; i++) {
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    names.push(archive.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+test('the same files always pack to the same bytes', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'rapunzel-pack-'));
+  try {
+    const first = path.join(base, 'first');
+    const second = path.join(base, 'second');
+    writeFiles(first, FILES);
+    // Another copy, written in the other order and with other times
+    writeFiles(second, Object.fromEntries(Object.entries(FILES).reverse()));
+    const past = new Date('2001-02-03T04:05:06Z');
+    for (const name of Object.keys(FILES)) {
+      fs.utimesSync(path.join(second, ...name.split('/')), past, past);
+    }
+
+    const one = await packFolder(first, path.join(base, 'one.xpi'));
+    const again = await packFolder(first, path.join(base, 'again.xpi'));
+    const two = await packFolder(second, path.join(base, 'two.xpi'));
+
+    const bytes = fs.readFileSync(one.path);
+    assert.ok(bytes.equals(fs.readFileSync(again.path)));
+    assert.ok(bytes.equals(fs.readFileSync(two.path)));
+    assert.strictEqual(one.sha256, two.sha256);
+    assert.strictEqual(one.size, bytes.length);
+    assert.strictEqual(one.files, 4);
+    assert.deepStrictEqual(zipEntries(bytes), Object.keys(FILES).sort());
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
+
+test('ignored files are left out', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'rapunzel-pack-'));
+  try {
+    const folder = path.join(base, 'ext');
+    writeFiles(folder, {
+      ...FILES,
+      '.git/HEAD': 'ref: refs/heads/main\n',
+      'node_modules/lib/index.js': 'module.exports = {};\n',
+      'notes.md~': 'draft\n',
+      'src/app.ts': 'export {};\n'
+    });
+
+    const result = await packFolder(folder, path.join(base, 'ext.xpi'), { ignore: ['src'] });
+    assert.deepStrictEqual(zipEntries(fs.readFileSync(result.path)), Object.keys(FILES).sort());
+    assert.deepStrictEqual(fs.readdirSync(base).sort(), ['ext', 'ext.xpi']);
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,281 @@
+/**
+ * Rapunzel - XPI Packer
+ *
+ * Zips an extension folder into an .xpi (a plain zip archive). The output
+ * is reproducible: packing the same files twice gives the same bytes, so
+ * the SHA-256 can be compared between builds. To get there, entries are
+ * sorted by path and every entry gets the same timestamp and permissions.
+ *
+ * Ignore patterns are globs matched against paths relative to the folder,
+ * with "/" as separator:
+ *
+ *   - a pattern without "/" matches a file or folder name at any depth
+ *   - a pattern with "/" matches the whole relative path
+ *   - "*" matches within one path segment, "**" across segments
+ *
+ * An ignored folder is skipped with everything in it.
+ *
+ * Files are read and compressed asynchronously, so the helper keeps
+ * answering the browser while a large extension is packed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+// Always left out: VCS folders, dependencies, editor files, earlier
+// packages, and Rapunzel's own settings
+const DEFAULT_IGNORE = [
+  '.*',
+  'node_modules',
+  'web-ext-artifacts',
+  '*.xpi',
+  '*.zip',
+  '*~'
+];
+
+// 1980-01-01 00:00:00, the earliest time a zip entry can carry
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+// Entries are marked as made on Unix, as regular rw-r--r-- files
+const VERSION_MADE_BY = (3 << 8) | 20;
+const VERSION_NEEDED = 20;
+const EXTERNAL_ATTRIBUTES = (0o100644 << 16) >>> 0;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 1 << 11;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a buffer, as zip expects it
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Turn an ignore pattern into a regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a function telling whether a relative path is ignored
+ */
+function createIgnoreMatcher(patterns) {
+  const matchers = patterns
+    .map(pattern => pattern.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .map(pattern => ({
+      regExp: globToRegExp(pattern),
+      byName: !pattern.includes('/')
+    }));
+
+  return (relativePath) => {
+    const name = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+    return matchers.some(m => m.regExp.test(m.byName ? name : relativePath));
+  };
+}
+
+/**
+ * List the files to pack, as sorted relative paths with "/" separators
+ * Symbolic links are followed to files, if isLinkAllowed(target) agrees;
+ * linked folders are skipped, so a link loop cannot make the list endless.
+ */
+async function listFiles(folder, isIgnored, isLinkAllowed) {
+  const files = [];
+
+  const walk = async (dir, prefix) => {
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const relativePath = prefix + entry.name;
+      if (isIgnored(relativePath)) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath, relativePath + '/');
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      } else if (entry.isSymbolicLink() && await isFile(fullPath)) {
+        if (isLinkAllowed && !isLinkAllowed(await fs.promises.realpath(fullPath))) {
+          throw new Error(`${relativePath} links to a file outside the extension roots`);
+        }
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk(folder, '');
+
+  // Compare code points, not locale order, so every machine agrees
+  return files.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Check whether a path is (or links to) a regular file
+ */
+async function isFile(file) {
+  try {
+    return (await fs.promises.stat(file)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build a zip archive from { name, data } entries, in the order given
+ * An entry's data may also be a function resolving with it, so only one
+ * file is held before it is compressed.
+ */
+async function createZip(entries) {
+  const parts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = typeof entry.data === 'function' ? await entry.data() : entry.data;
+    const crc = crc32(data);
+
+    // Small or already compressed files can come out larger; store those
+    const deflated = await deflateRaw(data, { level: 9 });
+    const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+    const body = method === METHOD_DEFLATE ? deflated : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(VERSION_NEEDED, 4);
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(VERSION_MADE_BY, 4);
+    central.writeUInt16LE(VERSION_NEEDED, 6);
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(0, 30); // extra field length
+    central.writeUInt16LE(0, 32); // comment length
+    central.writeUInt16LE(0, 34); // disk number
+    central.writeUInt16LE(0, 36); // internal attributes
+    central.writeUInt32LE(EXTERNAL_ATTRIBUTES, 38);
+    central.writeUInt32LE(offset, 42);
+
+    parts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(0, 20);
+
+  return Buffer.concat([...parts, centralDirectory, end]);
+}
+
+/**
+ * Pack a folder into a zip file
+ * options.ignore: extra ignore patterns, on top of DEFAULT_IGNORE
+ * options.isLinkAllowed(target): whether a linked file may be packed
+ * Resolves with { path, size, sha256, files }
+ */
+async function packFolder(folder, outputFile, options = {}) {
+  if (!await isFile(path.join(folder, 'manifest.json'))) {
+    throw new Error(`No manifest.json in ${folder}`);
+  }
+
+  const isIgnored = createIgnoreMatcher(DEFAULT_IGNORE.concat(options.ignore || []));
+  const files = await listFiles(folder, isIgnored, options.isLinkAllowed);
+  if (files.length > 0xFFFF) {
+    throw new Error(`Too many files to pack (${files.length})`);
+  }
+
+  const archive = await createZip(files.map(name => ({
+    name,
+    data: () => fs.promises.readFile(path.join(folder, ...name.split('/')))
+  })));
+
+  // Written next to the target first, so a failed pack never leaves half
+  // a package under the final name
+  await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
+  const tempFile = `${outputFile}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, archive);
+  await fs.promises.rename(tempFile, outputFile);
+
+  return {
+    path: outputFile,
+    size: archive.length,
+    sha256: crypto.createHash('sha256').update(archive).digest('hex'),
+    files: files.length
+  };
+}
+
+module.exports = {
+  packFolder,
+  DEFAULT_IGNORE
+};